@@ -0,0 +1,143 @@
+// components/color-picker/index.js
+const { normalizeHex, hexToHsv, hsvToHex } = require('../../utils/color');
+
+/**
+ * 取色器组件
+ * HSV 滑块 + HEX 输入，以及最近使用的颜色和调色板
+ * 组件只负责选色，调色板的增删由页面通过事件交给 paletteStore 处理
+ */
+Component({
+  properties: {
+    // 打开时的初始颜色
+    color: {
+      type: String,
+      value: '#000000',
+      observer: 'syncFromColor'
+    },
+    recentColors: {
+      type: Array,
+      value: []
+    },
+    palettes: {
+      type: Array,
+      value: []
+    }
+  },
+
+  data: {
+    hue: 0,
+    saturation: 0,
+    value: 0,
+    hex: '#000000',
+    hexInput: '000000',
+    saturationGradient: '',
+    valueGradient: '',
+    activePaletteId: ''
+  },
+
+  lifetimes: {
+    attached() {
+      this.syncFromColor(this.data.color);
+      if (this.data.palettes.length > 0) {
+        this.setData({ activePaletteId: this.data.palettes[0].id });
+      }
+    }
+  },
+
+  methods: {
+    /**
+     * 根据HEX颜色同步滑块位置
+     * @param {string} color - HEX颜色
+     */
+    syncFromColor(color) {
+      const hsv = hexToHsv(color);
+      if (!hsv) return;
+      // HSV 取整会有误差，直接沿用传入的颜色
+      this.updateColor(hsv.h, hsv.s, hsv.v, normalizeHex(color));
+    },
+
+    /**
+     * 更新当前颜色及滑块背景渐变
+     * @param {string} [exactHex] - 已知的准确颜色，缺省时由 HSV 计算
+     */
+    updateColor(hue, saturation, value, exactHex) {
+      const hex = exactHex || hsvToHex(hue, saturation, value);
+      this.setData({
+        hue,
+        saturation,
+        value,
+        hex,
+        hexInput: hex.slice(1),
+        saturationGradient: `linear-gradient(to right, ${hsvToHex(hue, 0, value)}, ${hsvToHex(hue, 100, value)})`,
+        valueGradient: `linear-gradient(to right, #000000, ${hsvToHex(hue, saturation, 100)})`
+      });
+    },
+
+    onHueChange(e) {
+      this.updateColor(e.detail.value, this.data.saturation, this.data.value);
+    },
+
+    onSaturationChange(e) {
+      this.updateColor(this.data.hue, e.detail.value, this.data.value);
+    },
+
+    onValueChange(e) {
+      this.updateColor(this.data.hue, this.data.saturation, e.detail.value);
+    },
+
+    // HEX 输入完成后校验，无效时恢复
+    onHexConfirm(e) {
+      const hex = normalizeHex(e.detail.value);
+      if (hex) {
+        this.syncFromColor(hex);
+      } else {
+        this.setData({ hexInput: this.data.hex.slice(1) });
+        wx.showToast({ title: '无效的颜色值', icon: 'none' });
+      }
+    },
+
+    // 点选最近使用或调色板中的颜色
+    selectSwatch(e) {
+      this.syncFromColor(e.currentTarget.dataset.color);
+    },
+
+    selectPalette(e) {
+      this.setData({ activePaletteId: e.currentTarget.dataset.id });
+    },
+
+    confirm() {
+      this.triggerEvent('confirm', { color: this.data.hex });
+    },
+
+    // 恢复使用画笔自带颜色
+    useDefaultColor() {
+      this.triggerEvent('confirm', { color: null });
+    },
+
+    close() {
+      this.triggerEvent('close');
+    },
+
+    addToPalette() {
+      if (!this.data.activePaletteId) return;
+      this.triggerEvent('addtopalette', { paletteId: this.data.activePaletteId, color: this.data.hex });
+    },
+
+    createPalette() {
+      this.triggerEvent('createpalette');
+    },
+
+    // 长按调色板中的颜色移除
+    removeFromPalette(e) {
+      this.triggerEvent('removefrompalette', {
+        paletteId: this.data.activePaletteId,
+        color: e.currentTarget.dataset.color
+      });
+    },
+
+    // 长按调色板标签删除调色板
+    deletePalette(e) {
+      this.triggerEvent('deletepalette', { paletteId: e.currentTarget.dataset.id });
+    }
+  }
+});
@@ -1,28 +1,40 @@
 // pages/canvas/canvas.js
 const { createStoreBindings } = require('mobx-miniprogram-bindings')
 const { rootStore } = require('../../stores/rootStore')
-const { getRandomShape } = require('../../utils/shapes')
+const { StrokeStabilizer } = require('../../utils/stroke')
+const { BrushDynamics } = require('../../utils/brushDynamics')
+const { getShapeToolPoints, drawShapePreview } = require('../../utils/geometry')
+const { createFillPoints } = require('../../utils/floodFill')
+const { getSymmetryPoints, drawSymmetryGuides } = require('../../utils/symmetry')
+const { rgbToHex } = require('../../utils/color')
+const { SELECTION_TOOLS, getMarqueePolygon, hitTestSelection, drawSelectionPath, drawSelectionBounds } = require('../../utils/selection')
+const { COMPOSITE_MODES } = require('../../utils/animation')
 const { exportGif, showGifOptions } = require('../../utils/gifExport')
 
+// 混合模式在预设面板上的名称
+const COMPOSITE_LABELS = {
+  'source-over': '普通',
+  'lighter': '相加',
+  'multiply': '正片叠底',
+  'screen': '滤色'
+};
+
 Page({
   data: {
-    currentPen: 'pencil',
-    pens: {
-      pencil: { color: '#000000', width: 2, audio: '/static/sounds/clip.mp3' },
-      marker: { color: '#39C5BB', width: 4, audio: '/static/sounds/clip.mp3' },
-      glow: { color: '#ffffff', width: 6, audio: '/static/sounds/clip.mp3' },
-      eraser: { color: 'transparent', width: 8, audio: '/static/sounds/clip.mp3', isEraser: true }
-    },
     lastX: 0,
     lastY: 0,
     isDrawing: false,
-    canvasBackground: '#FFFFFF',
+    isPlacingSymmetryCenter: false,  // 下一次点击设置对称中心
+    showColorPicker: false,
+    compositeOptions: COMPOSITE_MODES.map(value => ({ value, label: COMPOSITE_LABELS[value] })),
     canvasLeft: 0,  // 画布左边距
     canvasTop: 0,   // 画布上边距
     audioCounter: 0,  // 音频播放计数器
     audioInterval: 10,  // 音频播放间隔
     lastAudioTime: 0,  // 上次播放音频的时间戳
-    audioTimeInterval: 300  // 音频播放的最小时间间隔（毫秒）
+    audioTimeInterval: 300,  // 音频播放的最小时间间隔（毫秒）
+    doubleTapInterval: 300,  // 双击判定的最大间隔（毫秒）
+    doubleTapDistance: 30  // 双击判定的最大距离（像素）
   },
   onLoad: function () {
     console.log('=== 使用MobX优化版本启动 ===')
@@ -31,11 +43,80 @@ Page({
     this.storeBindings = createStoreBindings(this, {
       store: rootStore,
       fields: {
+        brushes: () => rootStore.brushStore.toolbarBrushes,
+        currentBrushId: () => rootStore.brushStore.currentBrushId,
+        brushSettings: () => rootStore.brushStore.currentSettings,
+        brushColor: () => rootStore.currentBrushColor,
+        shapeLibrary: () => rootStore.shapeStore.library,
+        brushShapeWeights: () => {
+          const weights = {};
+          rootStore.getBrushShapeSet(rootStore.brushStore.currentBrush).forEach(entry => {
+            weights[entry.id] = entry.weight;
+          });
+          return weights;
+        },
         totalPixels: () => rootStore.pixelStore.totalPixelCount,
         activePixels: () => rootStore.pixelStore.activePixels.size,
         currentBrushSize: () => rootStore.drawingConfig.currentBrushSize,
         brushSizes: () => rootStore.drawingConfig.brushSizes,
-        isTransparentBackground: () => rootStore.canvasConfig.isTransparent
+        isTransparentBackground: () => rootStore.canvasConfig.isTransparent,
+        isDarkCanvas: () => rootStore.isDarkCanvas,
+        canUndo: () => rootStore.canUndo,
+        canRedo: () => rootStore.canRedo,
+        zoomPercent: () => rootStore.viewportStore.zoomPercent,
+        pixelBudget: () => rootStore.pixelBudget,
+        stabilizerMode: () => rootStore.drawingConfig.stabilizer.mode,
+        stabilizerStrength: () => Math.round(rootStore.drawingConfig.stabilizer.strength * 100),
+        dynamicsEnabled: () => rootStore.drawingConfig.dynamicsEnabled,
+        directional: () => rootStore.drawingConfig.directional,
+        wiggleStyle: () => rootStore.drawingConfig.wiggleStyle,
+        wiggleAmplitude: () => Math.round(rootStore.wiggleConfig.amplitude * 100),
+        wiggleSpeed: () => Math.round(rootStore.wiggleConfig.speed * 100),
+        batterySaver: () => rootStore.powerConfig.batterySaver,
+        idleSeconds: () => rootStore.powerConfig.idleSeconds,
+        showPerformanceHud: () => rootStore.debugConfig.showPerformanceHud,
+        currentTool: () => rootStore.drawingConfig.currentTool,
+        polygonSides: () => rootStore.drawingConfig.polygonSides,
+        fillDensity: () => Math.round(rootStore.drawingConfig.fill.density * 100),
+        fillPattern: () => rootStore.drawingConfig.fill.pattern,
+        sprayDensity: () => Math.round(rootStore.drawingConfig.spray.density * 100),
+        sprayFalloff: () => Math.round(rootStore.drawingConfig.spray.falloff * 100),
+        symmetryMode: () => rootStore.drawingConfig.symmetry.mode,
+        symmetrySegments: () => rootStore.drawingConfig.symmetry.segments,
+        currentColor: () => rootStore.drawingConfig.currentColor,
+        recentColors: () => rootStore.paletteStore.recentColors,
+        // 调色板在存储中原地修改，转成新的数组才会触发 setData
+        palettes: () => rootStore.paletteStore.palettes.map(palette => ({
+          id: palette.id,
+          name: palette.name,
+          colors: palette.colors.slice()
+        })),
+        selectionCount: () => rootStore.selectionStore.count,
+        // 图层列表从上到下显示
+        layers: () => rootStore.layerStore.layers.map(layer => ({
+          id: layer.id,
+          name: layer.name,
+          visible: layer.visible,
+          locked: layer.locked
+        })).reverse(),
+        activeLayerId: () => rootStore.layerStore.activeLayerId,
+        activeLayerOpacity: () => {
+          const layer = rootStore.layerStore.activeLayer;
+          return layer ? Math.round(layer.opacity * 100) : 100;
+        },
+        timelineFrames: () => rootStore.timelineStore.frames.map(frame => ({
+          id: frame.id,
+          duration: frame.duration
+        })),
+        currentFrameId: () => rootStore.timelineStore.currentFrameId,
+        currentFrameDuration: () => {
+          const timeline = rootStore.timelineStore;
+          const frame = timeline.getFrame(timeline.currentFrameId);
+          return frame ? frame.duration : timeline.config.defaultDuration;
+        },
+        timelineDuration: () => rootStore.timelineStore.totalDuration,
+        onionSkinEnabled: () => rootStore.timelineStore.onionSkinEnabled,
+        isTimelinePlaying: () => rootStore.timelineStore.playing
       },
       actions: {
         addPixel: 'addPixel',
@@ -45,9 +126,28 @@ Page({
       }
     });
 
+    // 切到后台或锁屏时暂停动画
+    this.onAppHide = () => rootStore.pauseAnimation('app');
+    this.onAppShow = () => rootStore.resumeAnimation('app');
+    wx.onAppHide(this.onAppHide);
+    wx.onAppShow(this.onAppShow);
+
+    // 系统内存告警记入性能报告
+    this.onMemoryWarning = (res) => rootStore.recordMemoryWarning(res && res.level);
+    wx.onMemoryWarning(this.onMemoryWarning);
+
     this.initCanvas();
   },
 
+  onShow: function () {
+    rootStore.resumeAnimation('page');
+  },
+
+  onHide: function () {
+    this.stopTimelinePlayback();
+    rootStore.pauseAnimation('page');
+  },
+
   /**
    * 初始化画布
    * 简化版本，使用 rpx 单位实现响应式布局
@@ -100,8 +200,23 @@ Page({
         // 设置Canvas层
         rootStore.setupCanvasLayers(canvas, ctx);
 
-        // 设置背景色
-        this.clearCanvas();
+        // 对称辅助线（对称模式关闭时不绘制）
+        this.animationController.setOverlay('symmetryGuides', (overlayCtx, viewport) => {
+          drawSymmetryGuides(overlayCtx, rootStore.drawingConfig.symmetry,
+            viewport.width, viewport.height, 1 / viewport.scale);
+        });
+
+        // 选区：圈选路径、选区边框和控制柄
+        this.animationController.setOverlay('selection', (overlayCtx, viewport) => {
+          const drag = this.selectionDrag;
+          if (drag && drag.mode === 'select') {
+            drawSelectionPath(overlayCtx, this.getSelectionPolygon(drag), 1 / viewport.scale);
+          }
+          drawSelectionBounds(overlayCtx, rootStore.getSelectionBounds(), viewport.scale);
+        });
+
+        // 设置背景色（新画布不保留上次的像素和历史）
+        rootStore.resetCanvas();
 
         console.log('画布初始化完成');
       });
@@ -112,15 +227,98 @@ Page({
     return false;
   },
   
+  /**
+   * 将触摸点转换为相对画布元素的屏幕坐标
+   * @param {Object} touch - 触摸点
+   * @returns {{x: number, y: number}}
+   */
+  getScreenPoint(touch) {
+    return {
+      x: touch.pageX - this.data.canvasLeft,
+      y: touch.pageY - this.data.canvasTop
+    };
+  },
+
+  /**
+   * 将触摸点转换为画布坐标（考虑缩放和平移）
+   * @param {Object} touch - 触摸点
+   * @returns {{x: number, y: number}}
+   */
+  getCanvasPoint(touch) {
+    const point = this.getScreenPoint(touch);
+    return rootStore.viewportStore.screenToCanvas(point.x, point.y);
+  },
+
   /**
    * 开始绘画
    * 处理触摸开始事件，计算触摸点坐标并开始绘制
+   * 两指触摸时转为缩放/平移手势
    */
   touchStart: function (e) {
+    rootStore.notifyInput();
+    this.stopTimelinePlayback();
+
+    if (e.touches.length >= 2) {
+      this.startGesture(e.touches);
+      return;
+    }
+
+    // 手势结束前剩余的手指不作画
+    if (this.gesture) return;
+
     const touch = e.touches[0];
-    // 计算触摸点相对于画布的坐标，考虑页面滚动
-    const x = touch.pageX - this.data.canvasLeft;
-    const y = touch.pageY - this.data.canvasTop;
+    const screenPoint = this.getScreenPoint(touch);
+
+    if (this.isDoubleTap(screenPoint)) {
+      // 双击复位：撤回第一次点击留下的像素
+      if (this.lastTap.hasStep) {
+        rootStore.discardLastStep();
+      }
+      this.lastTap = null;
+      rootStore.resetViewport();
+      return;
+    }
+
+    // 计算触摸点在画布上的坐标，考虑页面滚动和视口变换
+    const { x, y } = this.getCanvasPoint(touch);
+
+    // 设置对称中心
+    if (this.data.isPlacingSymmetryCenter) {
+      rootStore.setSymmetryCenter(x, y);
+      this.setData({ isPlacingSymmetryCenter: false });
+      rootStore.renderNow();
+      return;
+    }
+
+    // 吸管：取色后返回之前的工具
+    if (rootStore.drawingConfig.currentTool === 'eyedropper') {
+      this.pickColorAt(x, y, screenPoint);
+      return;
+    }
+
+    // 其余工具都作用于当前图层
+    if (!rootStore.layerStore.isActiveEditable) {
+      wx.showToast({ title: '当前图层已隐藏或锁定', icon: 'none' });
+      return;
+    }
+
+    // 选区：拖动控制柄变换选区，或圈选新的选区
+    if (SELECTION_TOOLS.indexOf(rootStore.drawingConfig.currentTool) >= 0) {
+      this.startSelectionDrag({ x, y });
+      return;
+    }
+
+    // 油漆桶：点击即填充
+    if (rootStore.drawingConfig.currentTool === 'fill') {
+      this.fillAt(x, y);
+      return;
+    }
+
+    // 图形工具：拖动时只显示预览，松手后再生成像素
+    if (rootStore.drawingConfig.currentTool !== 'freehand') {
+      this.startShapeDrag({ x, y });
+      return;
+    }
     
     this.setData({
       lastX: x,
@@ -129,6 +327,13 @@ Page({
       audioCounter: 0 // 重置音频计数器
     });
     this.vibrate();
+
+    // 记录起点，用于识别点击
+    this.strokeStart = { time: Date.now(), x: screenPoint.x, y: screenPoint.y, moved: false };
+
+    // 一笔作为一个撤销步骤
+    const brush = rootStore.getCurrentBrush();
+    rootStore.beginStroke(brush.isEraser ? 'erase' : 'draw');
     
     // 初始化上次音频播放时间（如果未设置）
     if (!this.data.lastAudioTime) {
@@ -136,79 +341,536 @@ Page({
     }
     
     // 触摸开始时总是播放音效
-    const pen = this.data.pens[this.data.currentPen];
-    this.playAudio(pen.audio);
-    
-    this.placePixel(x, y);
+    this.playAudio(brush.sound);
+
+    // 每一笔使用新的平滑器，间距随画笔大小变化
+    const { mode, strength } = rootStore.drawingConfig.stabilizer;
+    this.stabilizer = new StrokeStabilizer({
+      mode,
+      strength,
+      spacing: rootStore.getCurrentSpacing()
+    });
+
+    // 笔锋：根据压力或速度改变像素大小和透明度
+    this.dynamics = null;
+    if (rootStore.drawingConfig.dynamicsEnabled && brush.dynamics) {
+      this.dynamics = new BrushDynamics(brush.dynamics);
+      this.dynamics.begin(touch, screenPoint, e.timeStamp || Date.now());
+    }
+
+    this.lastPlacement = null;
+    this.placePoints(this.stabilizer.begin(x, y));
+
+    // 喷枪等画笔在手指停住时继续落笔
+    if (brush.emitInterval > 0) {
+      this.startHoldEmission(brush.emitInterval);
+    }
   },
   
   /**
    * 绘画中
-   * 处理触摸移动事件，简化版本
+   * 处理触摸移动事件，由平滑器生成等间距的落笔点
    */
   touchMove: function (e) {
+    rootStore.notifyInput();
+
+    if (this.gesture) {
+      if (e.touches.length >= 2) {
+        this.updateGesture(e.touches);
+      }
+      return;
+    }
+
+    if (this.shapeDrag) {
+      this.shapeDrag.end = this.getCanvasPoint(e.touches[0]);
+      rootStore.renderNow();
+      return;
+    }
+
+    if (this.selectionDrag) {
+      this.updateSelectionDrag(this.getCanvasPoint(e.touches[0]));
+      return;
+    }
+
     if (!this.data.isDrawing) return;
 
     const touch = e.touches[0];
-    const x = touch.pageX - this.data.canvasLeft;
-    const y = touch.pageY - this.data.canvasTop;
+    const { x, y } = this.getCanvasPoint(touch);
 
     const { lastX, lastY } = this.data;
 
-    // 简化的距离计算，固定间距
-    const dx = x - lastX;
-    const dy = y - lastY;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    // 使用固定间距，简化计算
-    const pixelSpacing = 6;
-    const steps = Math.max(1, Math.floor(distance / pixelSpacing));
-
-    for (let i = 1; i <= steps; i++) {
-      const ratio = i / steps;
-      const px = lastX + dx * ratio;
-      const py = lastY + dy * ratio;
+    if (this.strokeStart && (x !== lastX || y !== lastY)) {
+      this.strokeStart.moved = true;
+    }
 
-      // 只在最后一个步骤播放音频
-      const shouldPlayAudio = (i === steps);
-      this.placePixel(px, py, shouldPlayAudio);
+    if (this.dynamics) {
+      this.dynamics.update(touch, this.getScreenPoint(touch), e.timeStamp || Date.now());
     }
 
+    this.placePoints(this.stabilizer.addPoint(x, y));
+
     // 更新位置
     this.data.lastX = x;
     this.data.lastY = y;
   },
   
   // 结束绘画
-  touchEnd: function () {
+  touchEnd: function (e) {
+    if (this.gesture) {
+      // 所有手指离开后才结束手势
+      if (!e || !e.touches || e.touches.length === 0) {
+        this.gesture = null;
+      }
+      return;
+    }
+
+    if (this.shapeDrag) {
+      this.commitShapeDrag();
+      return;
+    }
+
+    if (this.selectionDrag) {
+      this.finishSelectionDrag();
+      return;
+    }
+
+    if (this.data.isDrawing) {
+      this.stopHoldEmission();
+
+      // 补上平滑器中尚未输出的部分
+      this.placePoints(this.stabilizer.end());
+      this.stabilizer = null;
+      this.dynamics = null;
+
+      const hasStep = rootStore.endStroke();
+      this.recordTap(hasStep);
+    }
     this.setData({ isDrawing: false });
   },
+
+  /**
+   * 开始拖动图形工具，显示橡皮筋预览
+   * @param {{x: number, y: number}} point - 画布坐标
+   */
+  startShapeDrag(point) {
+    if (!this.animationController) return;
+
+    const tool = rootStore.drawingConfig.currentTool;
+    this.shapeDrag = { tool, start: point, end: point };
+
+    this.animationController.setOverlay('shapePreview', (ctx, viewport) => {
+      if (!this.shapeDrag) return;
+      const brush = rootStore.getCurrentBrush();
+      drawShapePreview(ctx, tool, this.shapeDrag.start, this.shapeDrag.end, {
+        color: brush.isEraser ? '#FF4757' : rootStore.getBrushColor(brush),
+        lineWidth: 1 / (viewport ? viewport.scale : 1),
+        options: { sides: rootStore.drawingConfig.polygonSides }
+      });
+    });
+  },
+
+  /**
+   * 松手后沿图形轮廓生成像素，整个图形作为一个撤销步骤
+   */
+  commitShapeDrag() {
+    const { tool, start, end } = this.shapeDrag;
+    this.cancelShapeDrag();
+
+    // 没有拖动时不生成图形
+    if (start.x === end.x && start.y === end.y) return;
+
+    const points = getShapeToolPoints(tool, start, end, rootStore.getCurrentSpacing(), {
+      sides: rootStore.drawingConfig.polygonSides
+    });
+    const brush = rootStore.getCurrentBrush();
+
+    this.dynamics = null;
+    rootStore.beginStroke(brush.isEraser ? 'erase' : tool);
+    this.lastPlacement = null;
+    this.placePoints(points);
+    rootStore.endStroke();
+
+    this.vibrate();
+    this.playAudio(brush.sound);
+  },
+
+  /**
+   * 取消图形工具的拖动并移除预览
+   */
+  cancelShapeDrag() {
+    if (!this.shapeDrag) return;
+
+    this.shapeDrag = null;
+    if (this.animationController) {
+      this.animationController.setOverlay('shapePreview', null);
+      this.animationController.renderAllPixels();
+    }
+  },
+
+  /**
+   * 开始选区拖动
+   * 点中控制柄或选区内部时变换选区，否则开始圈选新的选区
+   * @param {{x: number, y: number}} point - 画布坐标
+   */
+  startSelectionDrag(point) {
+    const scale = rootStore.viewportStore.scale;
+    const mode = hitTestSelection(point, rootStore.getSelectionBounds(), scale);
+
+    if (mode) {
+      const pivot = rootStore.beginSelectionTransform();
+      this.selectionDrag = { mode, start: point, pivot };
+      return;
+    }
+
+    rootStore.clearSelection();
+    this.selectionDrag = {
+      mode: 'select',
+      tool: rootStore.drawingConfig.currentTool,
+      points: [point]
+    };
+  },
+
+  /**
+   * 更新选区拖动
+   * @param {{x: number, y: number}} point - 画布坐标
+   */
+  updateSelectionDrag(point) {
+    const drag = this.selectionDrag;
+    const { start, pivot } = drag;
+
+    switch (drag.mode) {
+      case 'select': {
+        // 套索只记录移动足够远的点，避免路径点过多
+        const last = drag.points[drag.points.length - 1];
+        const minDistance = 2 / rootStore.viewportStore.scale;
+        if (drag.tool === 'marquee') {
+          drag.points = [drag.points[0], point];
+        } else if (Math.abs(point.x - last.x) + Math.abs(point.y - last.y) >= minDistance) {
+          drag.points.push(point);
+        }
+        rootStore.renderNow();
+        return;
+      }
+      case 'move':
+        rootStore.updateSelectionTransform({ dx: point.x - start.x, dy: point.y - start.y });
+        return;
+      case 'scale': {
+        const startDistance = Math.max(1, Math.sqrt((start.x - pivot.x) * (start.x - pivot.x) + (start.y - pivot.y) * (start.y - pivot.y)));
+        const distance = Math.sqrt((point.x - pivot.x) * (point.x - pivot.x) + (point.y - pivot.y) * (point.y - pivot.y));
+        rootStore.updateSelectionTransform({ scale: Math.min(10, Math.max(0.1, distance / startDistance)) });
+        return;
+      }
+      case 'rotate': {
+        const rotation = Math.atan2(point.y - pivot.y, point.x - pivot.x) - Math.atan2(start.y - pivot.y, start.x - pivot.x);
+        rootStore.updateSelectionTransform({ rotation });
+        return;
+      }
+    }
+  },
+
+  /**
+   * 松手后完成圈选或变换
+   */
+  finishSelectionDrag() {
+    const drag = this.selectionDrag;
+    this.selectionDrag = null;
+
+    if (drag.mode !== 'select') {
+      rootStore.endSelectionTransform();
+      return;
+    }
+
+    const count = rootStore.selectPixelsInPolygon(this.getSelectionPolygon(drag));
+    if (count > 0) {
+      this.vibrate();
+    } else if (drag.points.length > 1) {
+      wx.showToast({ title: '没有选中像素', icon: 'none' });
+    }
+  },
+
+  /**
+   * 取消选区拖动（转为两指手势时），变换恢复原状
+   */
+  cancelSelectionDrag() {
+    if (!this.selectionDrag) return;
+
+    if (this.selectionDrag.mode !== 'select') {
+      rootStore.cancelSelectionTransform();
+    }
+    this.selectionDrag = null;
+    rootStore.renderNow();
+  },
+
+  /**
+   * 获取圈选路径对应的多边形
+   * @param {Object} drag - 选区拖动状态
+   * @returns {Array<{x: number, y: number}>}
+   */
+  getSelectionPolygon(drag) {
+    if (drag.tool === 'marquee') {
+      const start = drag.points[0];
+      const end = drag.points[drag.points.length - 1];
+      return getMarqueePolygon(start, end);
+    }
+    return drag.points;
+  },
+
+  /**
+   * 吸管取色
+   * 优先命中该处的抖动像素，未命中时读取画布上的颜色
+   * @param {number} x - 画布x坐标
+   * @param {number} y - 画布y坐标
+   * @param {{x: number, y: number}} screenPoint - 屏幕坐标
+   */
+  pickColorAt(x, y, screenPoint) {
+    const color = rootStore.pickPixelColor(x, y) || this.readCanvasColor(screenPoint);
+    if (!color) {
+      wx.showToast({ title: '这里没有颜色', icon: 'none' });
+      return;
+    }
+
+    rootStore.setBrushColor(color);
+    rootStore.restorePreviousTool();
+    this.vibrate();
+    wx.showToast({ title: `已取色 ${color}`, icon: 'none' });
+  },
+
+  /**
+   * 读取画布上指定屏幕位置的颜色（透明处返回 null）
+   * @param {{x: number, y: number}} screenPoint - 屏幕坐标
+   * @returns {string|null} HEX颜色
+   */
+  readCanvasColor(screenPoint) {
+    try {
+      // 画布内部尺寸为显示尺寸的2倍
+      const imageData = this.ctx.getImageData(Math.floor(screenPoint.x * 2), Math.floor(screenPoint.y * 2), 1, 1);
+      const [r, g, b, a] = imageData.data;
+      return a === 0 ? null : rgbToHex(r, g, b);
+    } catch (error) {
+      console.error('读取画布颜色失败:', error);
+      return null;
+    }
+  },
+
+  /**
+   * 油漆桶填充点击处被线条围住的区域，整个填充作为一个撤销步骤
+   * @param {number} x - 画布x坐标
+   * @param {number} y - 画布y坐标
+   */
+  fillAt(x, y) {
+    const brush = rootStore.getCurrentBrush();
+    if (brush.isEraser) {
+      wx.showToast({ title: '橡皮擦不能填充', icon: 'none' });
+      return;
+    }
+
+    // 对称模式下每个填充点会被复制，预算按份数均分
+    const viewport = rootStore.viewportStore;
+    const copies = getSymmetryPoints(x, y, rootStore.drawingConfig.symmetry, viewport.width, viewport.height).length;
+    const { points, reason } = createFillPoints(rootStore.pixelStore.activePixels.values(), {
+      width: viewport.width,
+      height: viewport.height,
+      x,
+      y,
+      spacing: rootStore.getFillSpacing(),
+      pattern: rootStore.drawingConfig.fill.pattern,
+      budget: Math.floor(rootStore.getRemainingPixelBudget() / copies)
+    });
+
+    if (reason === 'onLine') {
+      wx.showToast({ title: '请点击线条围住的空白处', icon: 'none' });
+      return;
+    }
+    if (reason === 'overBudget' || points.length === 0) {
+      wx.showToast({ title: '区域太大，像素数量超出上限', icon: 'none' });
+      return;
+    }
+
+    this.dynamics = null;
+    rootStore.beginStroke('fill');
+    this.placePoints(points, false);
+    rootStore.endStroke();
+
+    this.vibrate();
+    this.playAudio(brush.sound);
+  },
+
+  /**
+   * 开始两指缩放/平移手势
+   * 如果第一根手指已经开始绘制，撤回这一笔
+   * @param {Array} touches - 当前触摸点
+   */
+  startGesture(touches) {
+    this.cancelShapeDrag();
+    this.cancelSelectionDrag();
+
+    if (this.data.isDrawing) {
+      this.stopHoldEmission();
+      rootStore.cancelStroke();
+      this.stabilizer = null;
+      this.dynamics = null;
+      this.setData({ isDrawing: false });
+    }
+
+    const viewport = rootStore.viewportStore;
+    const { center, distance } = this.getPinchInfo(touches);
+
+    this.gesture = {
+      startDistance: Math.max(distance, 1),
+      startScale: viewport.scale,
+      // 手势开始时两指中点下的画布坐标，缩放平移过程中保持在两指中点下
+      anchor: viewport.screenToCanvas(center.x, center.y)
+    };
+    this.lastTap = null;
+  },
+
+  /**
+   * 更新两指缩放/平移手势
+   * @param {Array} touches - 当前触摸点
+   */
+  updateGesture(touches) {
+    const viewport = rootStore.viewportStore;
+    const { center, distance } = this.getPinchInfo(touches);
+    const { startDistance, startScale, anchor } = this.gesture;
+
+    const scale = viewport.clampScale(startScale * distance / startDistance);
+    viewport.setTransform(
+      scale,
+      center.x - anchor.x * scale,
+      center.y - anchor.y * scale
+    );
+    rootStore.renderNow();
+  },
+
+  /**
+   * 计算两指的中点和间距（屏幕坐标）
+   * @param {Array} touches - 当前触摸点
+   * @returns {{center: {x: number, y: number}, distance: number}}
+   */
+  getPinchInfo(touches) {
+    const a = this.getScreenPoint(touches[0]);
+    const b = this.getScreenPoint(touches[1]);
+    return {
+      center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      distance: Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y))
+    };
+  },
+
+  /**
+   * 记录一次点击（短时间内几乎没有移动的一笔），用于识别双击
+   * @param {boolean} hasStep - 这一笔是否产生了历史步骤
+   */
+  recordTap(hasStep) {
+    const start = this.strokeStart;
+    this.strokeStart = null;
+
+    if (start && !start.moved && Date.now() - start.time < this.data.doubleTapInterval) {
+      this.lastTap = { time: Date.now(), x: start.x, y: start.y, hasStep };
+    } else {
+      this.lastTap = null;
+    }
+  },
+
+  /**
+   * 判断当前触摸是否构成双击
+   * 只在画布已缩放/平移时生效，避免影响正常的点画
+   * @param {{x: number, y: number}} point - 屏幕坐标
+   * @returns {boolean}
+   */
+  isDoubleTap(point) {
+    const tap = this.lastTap;
+    if (!tap || rootStore.viewportStore.isIdentity) return false;
+
+    const dx = point.x - tap.x;
+    const dy = point.y - tap.y;
+    return Date.now() - tap.time < this.data.doubleTapInterval &&
+      Math.sqrt(dx * dx + dy * dy) < this.data.doubleTapDistance;
+  },
+
+  // 复位视口
+  resetViewport: function () {
+    rootStore.resetViewport();
+  },
   
   /**
-   * 在指定位置放置一个抖动像素或使用橡皮擦
-   * @param {number} x - 像素x坐标
-   * @param {number} y - 像素y坐标
+   * 依次在一组落笔点上放置像素，只在最后一个点检查音频
+   * 开启顺笔时，用上一个落笔点到当前点的方向作为笔画方向
+   * @param {Array<{x: number, y: number}>} points - 落笔点
+   * @param {boolean} [followDirection=true] - 落笔点是否按笔画顺序排列（油漆桶的点没有方向）
+   */
+  placePoints(points, followDirection = true) {
+    const directional = followDirection && rootStore.drawingConfig.directional;
+    for (let i = 0; i < points.length; i++) {
+      const { x, y } = points[i];
+      const angle = directional ? this.getStrokeAngle(x, y) : null;
+      this.placePixel(x, y, i === points.length - 1, angle);
+      this.lastPlacement = { x, y, angle, time: Date.now() };
+    }
+  },
+
+  /**
+   * 计算从上一个落笔点到指定点的方向，原地不动时沿用上一个方向
+   * @param {number} x - 画布x坐标
+   * @param {number} y - 画布y坐标
+   * @returns {number|null} 方向（弧度），一笔的第一个点返回 null
+   */
+  getStrokeAngle(x, y) {
+    const last = this.lastPlacement;
+    if (!last) return null;
+    if (x === last.x && y === last.y) return last.angle;
+    return Math.atan2(y - last.y, x - last.x);
+  },
+
+  /**
+   * 手指按住时按固定间隔在最后的落笔点继续落笔，移动中已经落笔时跳过
+   * @param {number} interval - 间隔（毫秒）
+   */
+  startHoldEmission(interval) {
+    this.stopHoldEmission();
+    this.holdTimer = setInterval(() => {
+      const last = this.lastPlacement;
+      if (!this.data.isDrawing || !last) return;
+      if (Date.now() - last.time < interval) return;
+
+      this.placePixel(last.x, last.y);
+      last.time = Date.now();
+      rootStore.notifyInput();
+    }, interval);
+  },
+
+  stopHoldEmission() {
+    if (this.holdTimer) {
+      clearInterval(this.holdTimer);
+      this.holdTimer = null;
+    }
+  },
+
+  /**
+   * 在指定位置落笔，具体效果由当前画笔的落笔函数决定（见 utils/brushes.js）
+   * 对称模式下同时作用于各条对称轴对应的位置
+   * @param {number} x - 画布x坐标
+   * @param {number} y - 画布y坐标
    * @param {boolean} [checkAudio=true] - 是否检查音频播放条件
+   * @param {number|null} [angle=null] - 笔画方向（弧度），开启顺笔时由 placePoints 传入
    */
-  placePixel(x, y, checkAudio = true) {
+  placePixel(x, y, checkAudio = true, angle = null) {
     if (!this.ctx || !this.animationController) return;
 
-    const pen = this.data.pens[this.data.currentPen];
-    const brushSize = rootStore.getCurrentBrushSize();
+    const brush = rootStore.getCurrentBrush();
+    const viewport = rootStore.viewportStore;
+    const points = getSymmetryPoints(x, y, rootStore.drawingConfig.symmetry, viewport.width, viewport.height, angle);
 
-    // 检查是否是橡皮擦模式
-    if (pen.isEraser) {
-      // 橡皮擦模式：删除指定区域的像素
-      const eraserRadius = brushSize.size * 3; // 橡皮擦半径比画笔大一些
-      const erasedCount = rootStore.erasePixelsInArea(x, y, eraserRadius);
+    const context = this.createPlaceContext(brush);
+    points.forEach(point => {
+      context.x = point.x;
+      context.y = point.y;
+      context.angle = point.angle === undefined ? null : point.angle;
+      brush.place(context);
+    });
 
-      // 如果删除了像素，重新渲染
-      if (erasedCount > 0 && this.animationController) {
-        this.animationController.renderAllPixels();
-      }
-    } else {
-      // 普通画笔模式：添加像素
-      rootStore.addPixel(x, y, pen.color, getRandomShape(), brushSize, this.data.currentPen);
+    // 擦除了像素时立即重绘
+    if (context.erasedCount > 0) {
+      this.animationController.renderAllPixels();
     }
 
     // 确保动画循环启动
@@ -222,23 +884,504 @@ Page({
       this.data.audioCounter++;
       if (this.data.audioCounter >= this.data.audioInterval) {
         // 播放音效
-        this.playAudio(pen.audio);
+        this.playAudio(brush.sound);
         this.data.audioCounter = 0; // 重置计数器
       }
     }
   },
+
+  /**
+   * 创建落笔上下文，开启笔锋时像素大小和透明度随强度变化
+   * @param {Object} brush - 当前画笔
+   * @returns {Object} 见 utils/brushes.js 中的 PlaceContext
+   */
+  createPlaceContext(brush) {
+    const baseSize = rootStore.getCurrentBrushSize();
+    const brushSize = this.dynamics ? this.dynamics.apply(baseSize) : baseSize;
+    const color = rootStore.getBrushColor(brush);
+    const style = Object.assign({ composite: brush.composite, glow: brush.glow }, rootStore.getWiggleStyle());
+    const random = rootStore.getRandom();
+
+    const context = {
+      x: 0,
+      y: 0,
+      brush,
+      color,
+      brushSize,
+      shapeSet: rootStore.getBrushShapeSet(brush),
+      angle: null,
+      erasedCount: 0,
+      spray: rootStore.drawingConfig.spray,
+      requestPixels: count => rootStore.pixelStore.requestEmission(count),
+      random: () => random.next(),
+      addPixel: (px, py, frameData) => rootStore.addPixel(px, py, color, frameData, brushSize, brush.id, style),
+      erase: (px, py, radius) => {
+        const count = rootStore.erasePixelsInArea(px, py, radius);
+        context.erasedCount += count;
+        return count;
+      }
+    };
+    return context;
+  },
   
   // 切换画笔
   changePen: function (e) {
-    const pen = e.currentTarget.dataset.pen;
-    this.setData({ currentPen: pen });
+    rootStore.brushStore.setCurrentBrush(e.currentTarget.dataset.pen);
+  },
+
+  // 以当前画笔和颜色保存预设
+  savePreset: function () {
+    const brush = rootStore.getCurrentBrush();
+    if (brush.isEraser) return;
+
+    wx.showModal({
+      title: '保存画笔预设',
+      editable: true,
+      placeholderText: '预设名称',
+      success: (res) => {
+        if (!res.confirm) return;
+        const name = (res.content || '').trim();
+        const presetId = rootStore.brushStore.createPreset(name, brush, { color: rootStore.getBrushColor(brush) });
+        if (!presetId) {
+          wx.showToast({ title: `最多 ${rootStore.brushStore.config.maxPresets} 个预设`, icon: 'none' });
+        }
+      }
+    });
+  },
+
+  // 删除当前预设
+  deletePreset: function () {
+    const brush = rootStore.getCurrentBrush();
+    if (!brush.isPreset) return;
+
+    wx.showModal({
+      title: '删除预设',
+      content: `确定要删除“${brush.name}”吗？`,
+      success: (res) => {
+        if (res.confirm) {
+          rootStore.brushStore.deletePreset(brush.id);
+        }
+      }
+    });
+  },
+
+  // 调整预设参数（滑块数值为百分比）
+  changePresetSetting: function (e) {
+    const field = e.currentTarget.dataset.field;
+    rootStore.brushStore.updatePreset(rootStore.brushStore.currentBrushId, { [field]: e.detail.value / 100 });
+  },
+
+  // 修改预设混合模式
+  changePresetComposite: function (e) {
+    rootStore.brushStore.updatePreset(rootStore.brushStore.currentBrushId, { composite: e.currentTarget.dataset.composite });
+  },
+
+  // 调整当前画笔使用某个形状的权重
+  changeShapeWeight: function (e) {
+    rootStore.shapeStore.setBrushShapeWeight(rootStore.getCurrentBrush(), e.currentTarget.dataset.id, e.detail.value);
+  },
+
+  // 当前画笔恢复默认形状
+  resetBrushShapes: function () {
+    rootStore.shapeStore.resetBrushShapes(rootStore.brushStore.currentBrushId);
+  },
+
+  // 打开形状编辑器
+  openShapeEditor: function () {
+    wx.navigateTo({ url: '/pages/shape-editor/shape-editor' });
+  },
+
+  // 打开取色器
+  openColorPicker: function () {
+    this.setData({ showColorPicker: true });
+  },
+
+  // 关闭取色器
+  closeColorPicker: function () {
+    this.setData({ showColorPicker: false });
+  },
+
+  // 确认颜色（null 表示恢复画笔自带颜色）
+  onColorConfirm: function (e) {
+    rootStore.setBrushColor(e.detail.color);
+    this.setData({ showColorPicker: false });
+  },
+
+  // 新建调色板
+  onCreatePalette: function () {
+    wx.showModal({
+      title: '新建调色板',
+      editable: true,
+      placeholderText: '调色板名称',
+      success: (res) => {
+        if (res.confirm) {
+          rootStore.paletteStore.createPalette((res.content || '').trim());
+        }
+      }
+    });
+  },
+
+  // 把当前颜色加入调色板
+  onAddToPalette: function (e) {
+    const { paletteId, color } = e.detail;
+    if (!rootStore.paletteStore.addColorToPalette(paletteId, color)) {
+      wx.showToast({ title: '调色板已满', icon: 'none' });
+    }
+  },
+
+  // 从调色板移除颜色
+  onRemoveFromPalette: function (e) {
+    const { paletteId, color } = e.detail;
+    rootStore.paletteStore.removeColorFromPalette(paletteId, color);
+  },
+
+  // 删除调色板
+  onDeletePalette: function (e) {
+    wx.showModal({
+      title: '删除调色板',
+      content: '确定要删除这个调色板吗？',
+      success: (res) => {
+        if (res.confirm) {
+          rootStore.paletteStore.deletePalette(e.detail.paletteId);
+        }
+      }
+    });
   },
 
   // 切换画笔大小
   changeBrushSize: function (e) {
     const size = e.currentTarget.dataset.size;
     rootStore.setBrushSize(size);
-    console.log(`画笔大小切换为: ${size} (${rootStore.getCurrentBrushSize()}px)`);
+    console.log(`画笔大小切换为: ${size} (${rootStore.getCurrentBrushSize().size}px)`);
+  },
+
+  // 切换工具
+  changeTool: function (e) {
+    rootStore.setTool(e.currentTarget.dataset.tool);
+  },
+
+  // 水平/垂直翻转选区
+  flipSelection: function (e) {
+    rootStore.flipSelection(e.currentTarget.dataset.axis);
+  },
+
+  // 复制选区
+  duplicateSelection: function () {
+    if (!rootStore.duplicateSelection()) {
+      wx.showToast({ title: '像素数量超出上限', icon: 'none' });
+    }
+  },
+
+  // 删除选区
+  deleteSelection: function () {
+    rootStore.deleteSelection();
+  },
+
+  // 选区改为当前画笔颜色
+  recolorSelection: function () {
+    const brush = rootStore.getCurrentBrush();
+    const color = brush.isEraser ? rootStore.drawingConfig.currentColor : rootStore.getBrushColor(brush);
+    if (!color) {
+      wx.showToast({ title: '请先选择颜色', icon: 'none' });
+      return;
+    }
+    rootStore.recolorSelection(color);
+  },
+
+  // 取消选区
+  clearSelection: function () {
+    rootStore.clearSelection();
+  },
+
+  // 切换当前图层
+  selectLayer: function (e) {
+    rootStore.setActiveLayer(e.currentTarget.dataset.id);
+  },
+
+  // 显示/隐藏图层
+  toggleLayerVisible: function (e) {
+    const layer = rootStore.layerStore.getLayer(e.currentTarget.dataset.id);
+    if (layer) {
+      rootStore.setLayerVisible(layer.id, !layer.visible);
+    }
+  },
+
+  // 锁定/解锁图层
+  toggleLayerLocked: function (e) {
+    const layer = rootStore.layerStore.getLayer(e.currentTarget.dataset.id);
+    if (layer) {
+      rootStore.setLayerLocked(layer.id, !layer.locked);
+    }
+  },
+
+  // 上移/下移图层
+  moveLayer: function (e) {
+    const { id, direction } = e.currentTarget.dataset;
+    rootStore.moveLayer(id, Number(direction));
+  },
+
+  // 调整当前图层不透明度
+  changeLayerOpacity: function (e) {
+    rootStore.setLayerOpacity(rootStore.layerStore.activeLayerId, e.detail.value / 100);
+  },
+
+  // 新建图层
+  addLayer: function () {
+    if (!rootStore.addLayer()) {
+      wx.showToast({ title: `最多 ${rootStore.layerStore.config.maxLayers} 个图层`, icon: 'none' });
+    }
+  },
+
+  // 重命名当前图层
+  renameLayer: function () {
+    const layer = rootStore.layerStore.activeLayer;
+    if (!layer) return;
+
+    wx.showModal({
+      title: '重命名图层',
+      editable: true,
+      placeholderText: layer.name,
+      success: (res) => {
+        const name = (res.content || '').trim();
+        if (res.confirm && name) {
+          rootStore.renameLayer(layer.id, name);
+        }
+      }
+    });
+  },
+
+  // 删除当前图层
+  deleteLayer: function () {
+    const layer = rootStore.layerStore.activeLayer;
+    if (!layer) return;
+
+    if (rootStore.layerStore.layers.length <= 1) {
+      wx.showToast({ title: '至少保留一个图层', icon: 'none' });
+      return;
+    }
+
+    wx.showModal({
+      title: '删除图层',
+      content: `确定要删除「${layer.name}」吗？可以撤销`,
+      success: (res) => {
+        if (res.confirm) {
+          rootStore.deleteLayer(layer.id);
+        }
+      }
+    });
+  },
+
+  // 切换动画帧
+  selectFrame: function (e) {
+    if (this.data.isDrawing) return;
+    this.stopTimelinePlayback();
+    rootStore.selectFrame(e.currentTarget.dataset.id);
+  },
+
+  // 在当前帧之后新建空白帧
+  addFrame: function () {
+    this.stopTimelinePlayback();
+    if (!rootStore.addFrame()) {
+      wx.showToast({ title: `最多 ${rootStore.timelineStore.config.maxFrames} 帧`, icon: 'none' });
+    }
+  },
+
+  // 复制当前帧
+  duplicateFrame: function () {
+    this.stopTimelinePlayback();
+    if (!rootStore.duplicateFrame()) {
+      const timeline = rootStore.timelineStore;
+      const title = timeline.frames.length >= timeline.config.maxFrames
+        ? `最多 ${timeline.config.maxFrames} 帧`
+        : '像素数量已达上限';
+      wx.showToast({ title, icon: 'none' });
+    }
+  },
+
+  // 删除当前帧
+  deleteFrame: function () {
+    this.stopTimelinePlayback();
+    const timeline = rootStore.timelineStore;
+    if (timeline.frames.length <= 1) {
+      wx.showToast({ title: '至少保留一帧', icon: 'none' });
+      return;
+    }
+
+    wx.showModal({
+      title: '删除帧',
+      content: `确定要删除第 ${timeline.currentIndex + 1} 帧吗？可以撤销`,
+      success: (res) => {
+        if (res.confirm) {
+          rootStore.deleteFrame(timeline.currentFrameId);
+        }
+      }
+    });
+  },
+
+  // 前移/后移当前帧
+  moveFrame: function (e) {
+    this.stopTimelinePlayback();
+    rootStore.moveFrame(rootStore.timelineStore.currentFrameId, Number(e.currentTarget.dataset.direction));
+  },
+
+  // 调整当前帧的显示时长
+  changeFrameDuration: function (e) {
+    rootStore.setFrameDuration(rootStore.timelineStore.currentFrameId, e.detail.value);
+  },
+
+  // 显示/隐藏洋葱皮
+  toggleOnionSkin: function (e) {
+    rootStore.setOnionSkinEnabled(e.detail.value);
+  },
+
+  // 播放/停止预览：按各帧时长循环切换帧
+  toggleTimelinePlayback: function () {
+    if (rootStore.timelineStore.playing) {
+      this.stopTimelinePlayback();
+      return;
+    }
+    if (rootStore.timelineStore.frames.length <= 1) {
+      wx.showToast({ title: '至少需要两帧', icon: 'none' });
+      return;
+    }
+
+    rootStore.setTimelinePlaying(true);
+    const showNextFrame = () => {
+      const timeline = rootStore.timelineStore;
+      const next = timeline.frames[(timeline.currentIndex + 1) % timeline.frames.length];
+      rootStore.selectFrame(next.id);
+      this.playbackTimer = setTimeout(showNextFrame, next.duration);
+    };
+    this.playbackTimer = setTimeout(showNextFrame, this.data.currentFrameDuration);
+  },
+
+  stopTimelinePlayback() {
+    if (this.playbackTimer) {
+      clearTimeout(this.playbackTimer);
+      this.playbackTimer = null;
+    }
+    if (rootStore.timelineStore.playing) {
+      rootStore.setTimelinePlaying(false);
+    }
+  },
+
+  // 调整正多边形边数
+  changePolygonSides: function (e) {
+    rootStore.setPolygonSides(e.detail.value);
+  },
+
+  // 切换填充图案
+  changeFillPattern: function (e) {
+    rootStore.setFillPattern(e.currentTarget.dataset.pattern);
+  },
+
+  // 调整填充密度
+  changeFillDensity: function (e) {
+    rootStore.setFillDensity(e.detail.value / 100);
+  },
+
+  // 调整喷枪密度
+  changeSprayDensity: function (e) {
+    rootStore.setSprayDensity(e.detail.value / 100);
+  },
+
+  // 调整喷枪衰减
+  changeSprayFalloff: function (e) {
+    rootStore.setSprayFalloff(e.detail.value / 100);
+  },
+
+  // 切换对称模式
+  changeSymmetryMode: function (e) {
+    rootStore.setSymmetryMode(e.currentTarget.dataset.mode);
+    rootStore.renderNow();
+  },
+
+  // 调整万花筒等分数
+  changeSymmetrySegments: function (e) {
+    rootStore.setSymmetrySegments(e.detail.value);
+    rootStore.renderNow();
+  },
+
+  // 下一次点击画布设置对称中心
+  placeSymmetryCenter: function () {
+    this.setData({ isPlacingSymmetryCenter: !this.data.isPlacingSymmetryCenter });
+  },
+
+  // 对称中心恢复到画布中心
+  resetSymmetryCenter: function () {
+    rootStore.setSymmetryCenter(null, null);
+    this.setData({ isPlacingSymmetryCenter: false });
+    rootStore.renderNow();
+  },
+
+  // 切换笔画平滑模式
+  changeStabilizerMode: function (e) {
+    rootStore.setStabilizerMode(e.currentTarget.dataset.mode);
+  },
+
+  // 调整拉绳强度
+  changeStabilizerStrength: function (e) {
+    rootStore.setStabilizerStrength(e.detail.value / 100);
+  },
+
+  // 切换笔锋（压感/速度）
+  toggleDynamics: function (e) {
+    rootStore.setDynamicsEnabled(e.detail.value);
+  },
+
+  // 开关顺笔
+  toggleDirectional: function (e) {
+    rootStore.setDirectionalEnabled(e.detail.value);
+  },
+
+  // 切换新笔画的抖动风格
+  changeWiggleStyle: function (e) {
+    rootStore.setWiggleStyle(e.currentTarget.dataset.style);
+  },
+
+  // 调整全局抖动幅度
+  changeWiggleAmplitude: function (e) {
+    rootStore.setWiggleAmplitude(e.detail.value / 100);
+  },
+
+  // 调整全局抖动速度
+  changeWiggleSpeed: function (e) {
+    rootStore.setWiggleSpeed(e.detail.value / 100);
+  },
+
+  // 开关省电模式
+  toggleBatterySaver: function (e) {
+    rootStore.setBatterySaver(e.detail.value);
+  },
+
+  // 省电模式下多久没有操作后冻结抖动
+  changeIdleSeconds: function (e) {
+    rootStore.setIdleSeconds(e.detail.value);
+  },
+
+  // 显示/隐藏性能浮层
+  togglePerformanceHud: function (e) {
+    rootStore.setPerformanceHudVisible(e.detail.value);
+  },
+
+  // 复制性能报告（JSON），便于附在问题反馈中
+  exportPerformanceReport: function () {
+    const snapshot = rootStore.getPerformanceSnapshot();
+    if (!snapshot) {
+      wx.showToast({ title: '画布未初始化', icon: 'none' });
+      return;
+    }
+
+    wx.setClipboardData({
+      data: JSON.stringify(snapshot, null, 2),
+      success: () => {
+        wx.showToast({ title: '性能报告已复制', icon: 'success' });
+      },
+      fail: (err) => {
+        console.error('复制性能报告失败', err);
+        wx.showToast({ title: '复制失败', icon: 'none' });
+      }
+    });
   },
 
   // 切换透明背景
@@ -254,11 +1397,29 @@ Page({
     console.log(`透明背景已${isTransparent ? '开启' : '关闭'}`);
   },
   
+  // 切换深色画布
+  toggleDarkCanvas: function (e) {
+    rootStore.setDarkCanvas(e.detail.value);
+    rootStore.renderNow();
+  },
+
   // 清空画布
   clearCanvas: function () {
     rootStore.clearAllPixels();
     console.log('画布已清空');
   },
+
+  // 撤销
+  undoStep: function () {
+    if (this.data.isDrawing) return;
+    rootStore.undo();
+  },
+
+  // 重做
+  redoStep: function () {
+    if (this.data.isDrawing) return;
+    rootStore.redo();
+  },
   
   // 保存图片
   saveImage: function () {
@@ -270,10 +1431,21 @@ Page({
     // 检查是否有透明背景
     const isTransparent = rootStore.getTransparentBackground();
 
+    // 按原始大小导出，不受当前缩放/平移影响
+    const animationController = this.animationController;
+    if (animationController) {
+      animationController.setExportMode(true);
+    }
+
     wx.canvasToTempFilePath({
       canvas: this.canvas,
       fileType: 'png', // 使用PNG格式支持透明度
       quality: 1.0, // 最高质量
+      complete: () => {
+        if (animationController) {
+          animationController.setExportMode(false);
+        }
+      },
       success: (res) => {
         wx.saveImageToPhotosAlbum({
           filePath: res.tempFilePath,
@@ -302,7 +1474,7 @@ Page({
     }
 
     // 检查是否有绘制内容 - 通过rootStore访问pixelStore
-    if (!rootStore.pixelStore.activePixels || rootStore.pixelStore.activePixels.size === 0) {
+    if (rootStore.pixelBudget.total === 0) {
       wx.showToast({ title: '请先绘制一些内容', icon: 'none' });
       return;
     }
@@ -331,6 +1503,22 @@ Page({
   // 显示GIF配置选项
   showGifOptions: function() {
     return new Promise((resolve) => {
+      // 时间轴有多帧时GIF长度由各帧时长决定，只选择抖动的步长
+      if (rootStore.timelineStore.frames.length > 1) {
+        wx.showActionSheet({
+          itemList: ['时间轴 · 抖动流畅', '时间轴 · 标准', '时间轴 · 小文件'],
+          success: (res) => {
+            resolve([
+              { delay: 100, quality: 10 },
+              { delay: 200, quality: 10 },
+              { delay: 400, quality: 15 }
+            ][res.tapIndex]);
+          },
+          fail: () => resolve(null)
+        });
+        return;
+      }
+
       wx.showActionSheet({
         itemList: ['快速导出(5帧)', '标准导出(10帧)', '高质量导出(15帧)', '自定义设置'],
         success: (res) => {
@@ -377,15 +1565,15 @@ Page({
    * 播放音效
    * 添加时间间隔控制，避免音频播放过于频繁
    */
-  playAudio: function () {
+  playAudio: function (src) {
     const currentTime = Date.now();
     const timeSinceLastAudio = currentTime - this.data.lastAudioTime;
     
     // 检查是否满足最小时间间隔要求
     if (timeSinceLastAudio >= this.data.audioTimeInterval) {
       const audio = wx.createInnerAudioContext();
-      // 统一使用clip.mp3音频文件
-      audio.src = '/static/sounds/clip.mp3';
+      // 使用画笔声明的音效，未声明时使用clip.mp3
+      audio.src = src || '/static/sounds/clip.mp3';
       audio.play();
       
       // 更新上次播放时间
@@ -436,6 +1624,12 @@ Page({
   onUnload: function() {
     console.log('页面卸载，清理MobX资源');
 
+    this.stopHoldEmission();
+    this.stopTimelinePlayback();
+    wx.offAppHide(this.onAppHide);
+    wx.offAppShow(this.onAppShow);
+    wx.offMemoryWarning(this.onMemoryWarning);
+
     // 清理 MobX 绑定
     if (this.storeBindings) {
       this.storeBindings.destroyStoreBindings();
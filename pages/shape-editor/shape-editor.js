@@ -0,0 +1,275 @@
+// pages/shape-editor/shape-editor.js
+const { createStoreBindings } = require('mobx-miniprogram-bindings')
+const { rootStore } = require('../../stores/rootStore')
+const { SHAPE_GRID, MAX_SHAPE_FRAMES, getShape } = require('../../utils/shapes')
+
+// 预览播放间隔，与画布动画的帧率一致（15fps）
+const PREVIEW_INTERVAL = 1000 / 15;
+
+/**
+ * 复制帧数据，避免修改形状库中的数据
+ * @param {Array} frames
+ * @returns {Array}
+ */
+function cloneFrames(frames) {
+  return frames.map(frame => frame.map(([dx, dy]) => [dx, dy]));
+}
+
+/**
+ * 生成网格的显示数据
+ * @param {Array} frame - 当前帧
+ * @param {Array} [ghostFrame] - 半透明显示的上一帧（洋葱皮）
+ * @returns {Array<Array<{x: number, y: number, on: boolean, ghost: boolean}>>} 按行排列的格子
+ */
+function buildGrid(frame, ghostFrame) {
+  const on = {};
+  const ghost = {};
+  frame.forEach(([dx, dy]) => { on[`${dx},${dy}`] = true; });
+  (ghostFrame || []).forEach(([dx, dy]) => { ghost[`${dx},${dy}`] = true; });
+
+  const rows = [];
+  for (let y = SHAPE_GRID.minY; y <= SHAPE_GRID.maxY; y++) {
+    const row = [];
+    for (let x = SHAPE_GRID.minX; x <= SHAPE_GRID.maxX; x++) {
+      const key = `${x},${y}`;
+      row.push({ x, y, on: !!on[key], ghost: !on[key] && !!ghost[key], origin: x === 0 && y === 0 });
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * 形状编辑器
+ * 在小网格上逐帧绘制抖动形状，实时预览动画并保存到形状库
+ */
+Page({
+  data: {
+    editingId: null,   // 正在编辑的用户形状，新建时为 null
+    name: '',
+    frames: [[]],
+    currentFrame: 0,
+    grid: [],
+    previewGrid: [],
+    previewFrame: 0,
+    onionSkin: true,   // 半透明显示上一帧
+    maxFrames: MAX_SHAPE_FRAMES
+  },
+
+  onLoad: function () {
+    this.storeBindings = createStoreBindings(this, {
+      store: rootStore,
+      fields: {
+        library: () => rootStore.shapeStore.library,
+        maxShapes: () => rootStore.shapeStore.config.maxShapes
+      }
+    });
+
+    this.refreshGrid();
+    this.startPreview();
+  },
+
+  onShow: function () {
+    this.startPreview();
+  },
+
+  onHide: function () {
+    this.stopPreview();
+  },
+
+  onUnload: function () {
+    this.stopPreview();
+    if (this.storeBindings) {
+      this.storeBindings.destroyStoreBindings();
+    }
+  },
+
+  /**
+   * 按当前帧刷新编辑网格
+   */
+  refreshGrid() {
+    const { frames, currentFrame, onionSkin } = this.data;
+    const ghostFrame = onionSkin && frames.length > 1
+      ? frames[(currentFrame - 1 + frames.length) % frames.length]
+      : null;
+    this.setData({ grid: buildGrid(frames[currentFrame], ghostFrame) });
+  },
+
+  /**
+   * 循环播放预览
+   */
+  startPreview() {
+    if (this.previewTimer) return;
+    this.previewTimer = setInterval(() => {
+      const { frames, previewFrame } = this.data;
+      const next = (previewFrame + 1) % frames.length;
+      this.setData({ previewFrame: next, previewGrid: buildGrid(frames[next]) });
+    }, PREVIEW_INTERVAL);
+  },
+
+  stopPreview() {
+    if (this.previewTimer) {
+      clearInterval(this.previewTimer);
+      this.previewTimer = null;
+    }
+  },
+
+  /**
+   * 替换帧数据并切换到指定帧
+   * @param {Array} frames
+   * @param {number} currentFrame
+   */
+  setFrames(frames, currentFrame) {
+    this.setData({
+      frames,
+      currentFrame: Math.min(Math.max(0, currentFrame), frames.length - 1),
+      previewFrame: 0
+    });
+    this.refreshGrid();
+  },
+
+  // 点击格子切换开关
+  toggleCell: function (e) {
+    const x = Number(e.currentTarget.dataset.x);
+    const y = Number(e.currentTarget.dataset.y);
+    const frames = cloneFrames(this.data.frames);
+    const frame = frames[this.data.currentFrame];
+    const index = frame.findIndex(([dx, dy]) => dx === x && dy === y);
+    if (index >= 0) {
+      frame.splice(index, 1);
+    } else {
+      frame.push([x, y]);
+    }
+    this.setFrames(frames, this.data.currentFrame);
+  },
+
+  // 切换正在编辑的帧
+  selectFrame: function (e) {
+    this.setFrames(this.data.frames, Number(e.currentTarget.dataset.index));
+  },
+
+  // 在当前帧之后添加空白帧
+  addFrame: function () {
+    if (this.data.frames.length >= MAX_SHAPE_FRAMES) return;
+    const frames = cloneFrames(this.data.frames);
+    frames.splice(this.data.currentFrame + 1, 0, []);
+    this.setFrames(frames, this.data.currentFrame + 1);
+  },
+
+  // 复制当前帧
+  duplicateFrame: function () {
+    if (this.data.frames.length >= MAX_SHAPE_FRAMES) return;
+    const frames = cloneFrames(this.data.frames);
+    frames.splice(this.data.currentFrame + 1, 0, cloneFrames([frames[this.data.currentFrame]])[0]);
+    this.setFrames(frames, this.data.currentFrame + 1);
+  },
+
+  // 删除当前帧（至少保留一帧）
+  deleteFrame: function () {
+    if (this.data.frames.length <= 1) return;
+    const frames = cloneFrames(this.data.frames);
+    frames.splice(this.data.currentFrame, 1);
+    this.setFrames(frames, this.data.currentFrame - 1);
+  },
+
+  // 清空当前帧
+  clearFrame: function () {
+    const frames = cloneFrames(this.data.frames);
+    frames[this.data.currentFrame] = [];
+    this.setFrames(frames, this.data.currentFrame);
+  },
+
+  // 开关洋葱皮
+  toggleOnionSkin: function (e) {
+    this.setData({ onionSkin: e.detail.value });
+    this.refreshGrid();
+  },
+
+  // 新建空白形状
+  newShape: function () {
+    this.setData({ editingId: null, name: '' });
+    this.setFrames([[]], 0);
+  },
+
+  // 打开形状库中的形状：用户形状直接编辑，内置形状复制后另存
+  openShape: function (e) {
+    const { id, builtin } = e.currentTarget.dataset;
+    const frames = getShape(id);
+    if (!frames) return;
+
+    const shape = rootStore.shapeStore.getShape(id);
+    this.setData({
+      editingId: builtin ? null : id,
+      name: builtin || !shape ? '' : shape.name
+    });
+    this.setFrames(cloneFrames(frames), 0);
+  },
+
+  // 保存：编辑已有形状时直接覆盖，否则输入名称后新建
+  saveShape: function () {
+    const { editingId, frames } = this.data;
+    if (!frames.some(frame => frame.length > 0)) {
+      wx.showToast({ title: '请先画出形状', icon: 'none' });
+      return;
+    }
+
+    if (editingId) {
+      rootStore.shapeStore.updateShape(editingId, { frames });
+      wx.showToast({ title: '已保存', icon: 'success' });
+      return;
+    }
+
+    wx.showModal({
+      title: '保存形状',
+      editable: true,
+      placeholderText: '形状名称',
+      success: (res) => {
+        if (!res.confirm) return;
+        const name = (res.content || '').trim();
+        const id = rootStore.shapeStore.createShape(name, frames);
+        if (!id) {
+          wx.showToast({ title: `最多 ${this.data.maxShapes} 个形状`, icon: 'none' });
+          return;
+        }
+        this.setData({ editingId: id, name: rootStore.shapeStore.getShape(id).name });
+        wx.showToast({ title: '已保存', icon: 'success' });
+      }
+    });
+  },
+
+  // 重命名正在编辑的形状
+  renameShape: function () {
+    const { editingId, name } = this.data;
+    if (!editingId) return;
+
+    wx.showModal({
+      title: '重命名形状',
+      editable: true,
+      placeholderText: name,
+      success: (res) => {
+        const newName = (res.content || '').trim();
+        if (res.confirm && newName) {
+          rootStore.shapeStore.updateShape(editingId, { name: newName });
+          this.setData({ name: newName });
+        }
+      }
+    });
+  },
+
+  // 删除正在编辑的形状
+  deleteShape: function () {
+    const { editingId, name } = this.data;
+    if (!editingId) return;
+
+    wx.showModal({
+      title: '删除形状',
+      content: `确定要删除“${name}”吗？已画出的像素不受影响`,
+      success: (res) => {
+        if (res.confirm) {
+          rootStore.shapeStore.deleteShape(editingId);
+          this.newShape();
+        }
+      }
+    });
+  }
+});
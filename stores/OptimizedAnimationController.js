@@ -1,8 +1,57 @@
-const { reaction, autorun } = require('mobx-miniprogram')
+const { reaction, autorun, observe } = require('mobx-miniprogram')
+const { hexToRgb } = require('../utils/color')
+const { BASE_WIGGLE_RATE, WIGGLE_PERIOD, getEffectiveComposite } = require('../utils/animation')
+const { TileCache } = require('../utils/tileCache')
+const { formatHudLines, drawPerformanceHud } = require('../utils/perfHud')
+
+// 预渲染的抖动帧数：每个像素的帧序列以 WIGGLE_PERIOD 为周期，第 i 张缓存帧对应动画时钟 i，按时钟循环播放
+const CACHE_FRAME_COUNT = WIGGLE_PERIOD
+// 缓存失效后等待多久再重建（毫秒），选区拖动等连续修改期间直接绘制
+const CACHE_REBUILD_DELAY = 200
+// 脏区域超过画布面积的这个比例时整体重建
+const DIRTY_REBUILD_RATIO = 0.5
+// 每次动画循环重建烘焙图块的时间预算（毫秒）
+const TILE_BUILD_BUDGET = 8
+// 性能报告中抽查缓存帧与逐个绘制是否一致的像素数
+const CACHE_CHECK_SAMPLES = 200
+
+/**
+ * 渲染质量档位，负载高时逐档降低
+ * fpsScale     - 渲染帧率相对 targetFPS 的比例（抖动按时间推进，速度不变）
+ * glow         - 逐个绘制的像素是否画光晕（缓存和图块始终带光晕）
+ * distantEvery - 直接绘制时，离最近落笔处较远的像素每隔几帧才切换一次帧
+ */
+const QUALITY_LEVELS = [
+  { name: 'high', fpsScale: 1, glow: true, distantEvery: 1 },
+  { name: 'medium', fpsScale: 0.8, glow: true, distantEvery: 1 },
+  { name: 'low', fpsScale: 0.65, glow: false, distantEvery: 1 },
+  { name: 'minimal', fpsScale: 0.5, glow: false, distantEvery: 2 }
+]
+// 每隔多久评估一次渲染耗时（毫秒）
+const GOVERNOR_WINDOW = 1000
+// 每帧耗时占帧间隔的比例超过 DEGRADE_LOAD 时降档，连续 UPGRADE_WINDOWS 次低于 UPGRADE_LOAD 时升档
+const DEGRADE_LOAD = 0.5
+const UPGRADE_LOAD = 0.2
+const UPGRADE_WINDOWS = 3
+// 离最近落笔处多远算远处像素（画布坐标）
+const NEAR_RADIUS = 120
+// requestAnimationFrame 回调比帧间隔早到这么多毫秒以内时照常渲染
+const FRAME_TOLERANCE = 8
+
+// 性能统计：保留最近多少帧的耗时用于计算分位数，最近几次GIF导出的耗时
+const FRAME_SAMPLE_COUNT = 120
+const GIF_EXPORT_HISTORY = 5
+// 性能浮层刷新文字的间隔（毫秒），避免每帧都统计各图层的像素
+const HUD_REFRESH_INTERVAL = 500
+// 每个抖动像素对象的粗略内存估算（字节）
+const PIXEL_BYTES_ESTIMATE = 300
+// 洋葱皮的不透明度
+const ONION_SKIN_ALPHA = 0.3
 
 /**
  * 优化的动画控制器
- * 简化版本：移除静态层实现，所有像素保持抖动
+ * 所有像素保持抖动；把几帧抖动画面预渲染到离屏画布中循环播放，
+ * 添加或擦除像素时只重绘受影响的区域，缓存不可用时逐个绘制像素
  */
 class optimizedAnimationController {
   constructor(pixelStore, canvasWidth, canvasHeight, backgroundColor) {
@@ -14,18 +63,78 @@ class optimizedAnimationController {
     // Canvas 相关
     this.displayCanvas = null
     this.displayCtx = null
+    // 画布内部像素与显示尺寸之比（光晕大小需要按此换算）
+    this.pixelRatio = 1
+
+    // 图层：决定像素的绘制顺序、可见性和不透明度
+    this.layerStore = null
+
+    // 全局抖动幅度和速度 { amplitude, speed }
+    this.wiggleConfig = null
+    // 抖动时钟：按速度累计的帧数，每个像素据此计算自己的当前帧
+    this.wiggleTick = 0
+
+    // 视口变换（缩放/平移），导出时忽略
+    this.viewport = null
+    this.exportMode = false
+    // 导出时代替活跃像素绘制的像素（导出时间轴中的其他动画帧时使用），null 表示绘制全部活跃像素
+    this.exportPixels = null
+
+    // 覆盖层：在像素之上绘制的辅助内容（如图形预览），导出时不绘制
+    this.overlays = new Map()
+
+    // 洋葱皮：相邻动画帧的像素 [{ pixels, color }]，统一着色后半透明画在当前帧之上，导出时不绘制
+    this.onionSkins = []
+    this.onionFrames = null // 预渲染的洋葱皮 { canvas, ctx, tint, tintCtx }，tint 为着色用的临时画布
+    this.onionKey = null // 洋葱皮画布对应的设置，为 null 或与 getCacheKey 不同时重画
     
     // 动画状态
     this.isAnimating = false
     this.animationId = null
+    this.animationUsesRAF = false // animationId 来自 canvas.requestAnimationFrame 还是 setTimeout
     this.lastFrameTime = 0
-    this.targetFPS = 15 // 降低到15fps，减少CPU占用
+    this.targetFPS = 15 // 最高画质时的渲染帧率
     this.frameInterval = 1000 / this.targetFPS
-    
-    // 性能优化
-    this.enableDirtyRegionOptimization = false // 简化版本暂时禁用
     this.lastRenderTime = 0
-    this.renderThrottle = 16 // 约60fps
+
+    // 暂停原因（page 页面隐藏、app 切到后台或锁屏、idle 省电模式下无操作），全部解除后才继续动画
+    this.pauseReasons = new Set()
+    // 省电模式：超过多久没有操作时冻结抖动（毫秒），0 为关闭
+    this.idleTimeout = 0
+    this.lastInputTime = Date.now()
+
+    // 自适应画质：按实测的每帧耗时升降档位，见 QUALITY_LEVELS
+    this.adaptiveQuality = true
+    this.qualityLevel = 0
+    this.frameCost = 0 // 每帧耗时的滑动平均（毫秒）
+    this.governorCheckedAt = 0
+    this.lightLoadWindows = 0
+    this.renderCount = 0
+    // 最近添加像素的位置，画质最低时离它较远的像素降低更新频率
+    this.focusPoint = null
+
+    // 抖动帧缓存：每帧一张离屏画布，包含背景和所有可见图层的像素（不含覆盖层）
+    this.cacheEnabled = typeof wx !== 'undefined' && typeof wx.createOffscreenCanvas === 'function'
+    this.cacheFrames = []
+    this.cacheBuilt = 0 // 已建好的帧数，等于 CACHE_FRAME_COUNT 时可以使用缓存
+    this.cacheKey = null // 背景、图层、全局幅度等影响整张缓存的设置
+    this.cacheInvalidatedAt = 0
+    this.dirtyRect = null // 待重绘的区域（画布坐标）
+    // 像素当前帧对应的动画时钟，null 表示像素的帧已被缓存重建打乱，直接绘制前需要重新同步
+    this.framesTick = null
+
+    // 烘焙图块的抖动帧缓存（见 PixelStore.bakePixels），未建好的图块逐个绘制其中的像素
+    this.tileCache = new TileCache(CACHE_FRAME_COUNT)
+    this.tilesBuiltVersion = null
+
+    // 渲染耗时统计，见 getPerformanceReport
+    this.resetPerformanceStats()
+    this.lastRenderCost = 0 // 最近一次 renderAllPixels 的耗时（毫秒，不含性能浮层）
+
+    // 性能浮层：显示在画布左下角，文字每 HUD_REFRESH_INTERVAL 刷新一次
+    this.hudVisible = false
+    this.hudLines = null
+    this.hudUpdatedAt = 0
     
     // MobX 响应式监听
     this.setupReactions()
@@ -37,21 +146,29 @@ class optimizedAnimationController {
    * 设置 MobX 响应式监听
    */
   setupReactions() {
-    // 监听活跃像素变化，自动启动动画（永不停止）
+    // 监听活跃像素变化，自动启动动画（暂停期间不启动，见 pause）
     this.activePixelsReaction = reaction(
       () => this.pixelStore.activePixels.size,
       (activePixelCount) => {
         if (activePixelCount > 0 && !this.isAnimating) {
           this.startAnimation()
         }
-        // 保持持续动画，永不停止
       }
     )
 
+    // 监听像素的添加和移除，记录需要重绘的缓存区域
+    this.pixelsObserver = observe(this.pixelStore.activePixels, change => {
+      if (change.oldValue) this.markDirty(change.oldValue)
+      if (change.newValue) {
+        this.markDirty(change.newValue)
+        this.focusPoint = { x: change.newValue.x, y: change.newValue.y }
+      }
+    })
+
     // 使用 autorun 监听配置变化
     this.configReaction = autorun(() => {
       const config = this.pixelStore.config
-      console.log(`配置更新: 最大活跃像素 ${config.maxActivePixels}`)
+      console.log(`配置更新: 单独抖动像素 ${config.maxActivePixels}，像素总量 ${config.maxTotalPixels}`)
     })
   }
   
@@ -61,61 +178,715 @@ class optimizedAnimationController {
   setupCanvasLayers(canvas, ctx) {
     this.displayCanvas = canvas
     this.displayCtx = ctx
-    console.log('Canvas层设置完成（简化模式）')
+    this.pixelRatio = canvas && canvas.width ? canvas.width / this.canvasWidth : 1
+    this.tileCache.setPixelRatio(this.pixelRatio)
+    this.createPixelCache()
+    console.log('Canvas层设置完成')
+  }
+
+  /**
+   * 按画布实际分辨率创建缓存用的离屏画布，不支持离屏画布时关闭缓存
+   */
+  createPixelCache() {
+    this.cacheFrames = []
+    this.invalidateCache()
+    if (!this.cacheEnabled) return
+
+    try {
+      const width = Math.round(this.canvasWidth * this.pixelRatio)
+      const height = Math.round(this.canvasHeight * this.pixelRatio)
+      for (let i = 0; i < CACHE_FRAME_COUNT; i++) {
+        const canvas = wx.createOffscreenCanvas({ type: '2d', width, height })
+        this.cacheFrames.push({ canvas, ctx: canvas.getContext('2d') })
+      }
+    } catch (error) {
+      console.warn('创建离屏画布失败，关闭抖动帧缓存:', error)
+      this.cacheFrames = []
+      this.cacheEnabled = false
+    }
+  }
+
+  /**
+   * 使整张缓存失效（像素被移动、改色等不经过添加/移除的修改后调用），稍后重建
+   */
+  invalidateCache() {
+    this.cacheBuilt = 0
+    this.dirtyRect = null
+    this.cacheInvalidatedAt = Date.now()
+  }
+
+  /**
+   * 把像素覆盖的范围加入待重绘区域
+   * @param {WigglePixel} pixel
+   */
+  markDirty(pixel) {
+    if (this.cacheBuilt === 0) return
+
+    const rect = pixel.getBounds(this.getDrawOptions().amplitude)
+    this.dirtyRect = this.dirtyRect ? unionRect(this.dirtyRect, rect) : rect
+  }
+
+  /**
+   * 缓存是否可以直接使用
+   * 放大查看时缓存分辨率不够，导出时要按指定帧绘制，这两种情况逐个绘制像素
+   * @returns {boolean}
+   */
+  isCacheReady() {
+    return this.cacheEnabled &&
+      !this.exportMode &&
+      this.cacheBuilt === CACHE_FRAME_COUNT &&
+      (!this.viewport || this.viewport.scale <= 1)
+  }
+
+  /**
+   * 影响整张缓存的设置，变化时缓存失效
+   * @returns {string}
+   */
+  getCacheKey() {
+    const layers = this.layerStore
+      ? this.layerStore.layers.map(layer => `${layer.id}:${layer.visible ? 1 : 0}:${layer.opacity}`).join('|')
+      : ''
+    const options = this.getDrawOptions()
+    return `${this.backgroundColor}/${options.amplitude}/${this.pixelRatio}/${layers}`
+  }
+
+  /**
+   * 渲染前同步缓存：设置变化时失效，有脏区域时只重绘该区域
+   */
+  syncPixelCache() {
+    if (!this.cacheEnabled || this.exportMode) return
+
+    const key = this.getCacheKey()
+    if (key !== this.cacheKey) {
+      this.cacheKey = key
+      this.invalidateCache()
+      this.tileCache.clear()
+      this.tilesBuiltVersion = null
+      return
+    }
+
+    if (!this.dirtyRect) return
+    const rect = clipRect(this.dirtyRect, this.canvasWidth, this.canvasHeight)
+    this.dirtyRect = null
+    if (!rect) return
+
+    if (rect.width * rect.height > this.canvasWidth * this.canvasHeight * DIRTY_REBUILD_RATIO) {
+      this.invalidateCache()
+      return
+    }
+
+    const start = Date.now()
+    this.redrawCacheRegion(rect)
+    this.stats.dirtyUpdates++
+    this.stats.dirtyTime += Date.now() - start
+  }
+
+  /**
+   * 在已建好的缓存帧中重绘指定区域：清除后重新绘制与该区域相交的图块和未烘焙像素
+   * @param {{x: number, y: number, width: number, height: number}} rect - 画布坐标
+   */
+  redrawCacheRegion(rect) {
+    const options = this.getCacheDrawOptions()
+    const reach = this.pixelStore.maxPixelExtent * Math.max(1, options.amplitude)
+    const pixels = this.pixelStore.findPixelsInRect(
+      rect.x - reach,
+      rect.y - reach,
+      rect.x + rect.width + reach,
+      rect.y + rect.height + reach,
+      pixel => !pixel.tileKey && intersects(pixel.getBounds(options.amplitude), rect)
+    )
+
+    for (let i = 0; i < this.cacheBuilt; i++) {
+      const ctx = this.cacheFrames[i].ctx
+      ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0)
+      ctx.save()
+      ctx.beginPath()
+      ctx.rect(rect.x, rect.y, rect.width, rect.height)
+      ctx.clip()
+      this.fillCacheBackground(ctx, rect)
+      pixels.forEach(pixel => pixel.setFrame(i))
+      this.drawLayered(ctx, pixels, options, i, rect)
+      ctx.restore()
+    }
+    this.framesTick = null
+  }
+
+  /**
+   * 建好下一张缓存帧（每次动画循环最多一张，避免卡顿）
+   * @param {number} now - 当前时间（毫秒）
+   */
+  buildPixelCache(now) {
+    if (!this.cacheEnabled || this.cacheBuilt >= CACHE_FRAME_COUNT) return
+    if (now - this.cacheInvalidatedAt < CACHE_REBUILD_DELAY) return
+
+    const start = Date.now()
+    const index = this.cacheBuilt
+    const ctx = this.cacheFrames[index].ctx
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0)
+    this.fillCacheBackground(ctx, { x: 0, y: 0, width: this.canvasWidth, height: this.canvasHeight })
+    this.pixelStore.setFrame(index)
+    this.framesTick = null
+    this.drawLayered(ctx, this.pixelStore.livePixels, this.getCacheDrawOptions(), index)
+    this.cacheBuilt++
+
+    this.stats.rebuiltFrames++
+    this.stats.rebuildTime += Date.now() - start
+  }
+
+  /**
+   * 在时间预算内重建内容有变化的烘焙图块
+   */
+  buildTiles() {
+    if (!this.cacheEnabled || this.tilesBuiltVersion === this.pixelStore.tilesVersion) return
+
+    const start = Date.now()
+    const version = this.pixelStore.tilesVersion
+    if (this.tileCache.build(this.pixelStore.tiles, this.getCacheDrawOptions(), TILE_BUILD_BUDGET)) {
+      this.tilesBuiltVersion = version
+    }
+    this.framesTick = null
+
+    this.stats.tileBuilds++
+    this.stats.tileBuildTime += Date.now() - start
+  }
+
+  /**
+   * 清除缓存帧的指定区域并填充背景
+   * @param {CanvasContext} ctx
+   * @param {{x: number, y: number, width: number, height: number}} rect
+   */
+  fillCacheBackground(ctx, rect) {
+    ctx.clearRect(rect.x, rect.y, rect.width, rect.height)
+    if (this.backgroundColor === 'transparent') return
+
+    ctx.fillStyle = this.backgroundColor
+    ctx.fillRect(rect.x, rect.y, rect.width, rect.height)
+  }
+
+  /**
+   * 缓存按原始大小绘制，光晕不受视口缩放影响
+   * 缓存和图块始终带光晕：画一次就能反复贴图，降低画质不需要重建（否则切换画质的重建耗时又会计入负载）
+   */
+  getCacheDrawOptions() {
+    return Object.assign(this.getDrawOptions(), { shadowScale: this.pixelRatio, glow: true })
+  }
+
+  /**
+   * 抽查缓存帧是否与逐个绘制一致：第 i 张缓存帧按时钟 i 绘制，播放时按时钟对 CACHE_FRAME_COUNT 取余选用，
+   * 因此每个像素在之后一轮的每个时钟上都应与对应的缓存帧显示同一帧
+   * @param {number} [tick] - 从哪个动画时钟开始检查，默认为当前时钟
+   * @returns {boolean}
+   */
+  checkCacheFrames(tick = this.wiggleTick) {
+    let checked = 0
+    for (const [, pixel] of this.pixelStore.activePixels) {
+      if (checked++ >= CACHE_CHECK_SAMPLES) break
+      for (let i = 0; i < CACHE_FRAME_COUNT; i++) {
+        const index = Math.floor(tick + i) % CACHE_FRAME_COUNT
+        if (pixel.getFrameAt(tick + i) !== pixel.getFrameAt(index)) return false
+      }
+    }
+    return true
+  }
+
+  /**
+   * 绘制当前动画时钟对应的缓存帧
+   * @param {CanvasContext} ctx - 已应用视口变换的画布上下文
+   */
+  drawCachedFrame(ctx) {
+    const index = Math.floor(this.wiggleTick) % CACHE_FRAME_COUNT
+    // 原始大小时不做插值，避免平移到半像素时画面发虚
+    ctx.imageSmoothingEnabled = !!this.viewport && this.viewport.scale < 1
+    ctx.drawImage(this.cacheFrames[index].canvas, 0, 0, this.canvasWidth, this.canvasHeight)
+  }
+
+  /**
+   * 直接绘制前让像素跳到当前动画时钟的帧（导出时由导出流程自行设置帧）
+   * 画质最低时远处的像素隔几帧才更新一次
+   */
+  syncPixelFrames() {
+    if (this.exportMode || this.framesTick === this.wiggleTick) return
+
+    const distantEvery = this.getQuality().distantEvery
+    if (distantEvery > 1 && this.focusPoint && this.renderCount % distantEvery !== 0) {
+      const { x, y } = this.focusPoint
+      this.pixelStore.findPixelsInArea(x, y, NEAR_RADIUS).forEach(pixel => pixel.setFrame(this.wiggleTick))
+      this.framesTick = null
+      return
+    }
+
+    this.pixelStore.setFrame(this.wiggleTick)
+    this.framesTick = this.wiggleTick
   }
   
+  /**
+   * 设置视口
+   * @param {ViewportStore} viewport - 视口存储
+   */
+  setViewport(viewport) {
+    this.viewport = viewport
+  }
+
+  /**
+   * 设置图层
+   * @param {LayerStore} layerStore - 图层存储
+   */
+  setLayers(layerStore) {
+    this.layerStore = layerStore
+  }
+
+  /**
+   * 设置全局抖动幅度和速度
+   * @param {{amplitude: number, speed: number}} wiggleConfig
+   */
+  setWiggleConfig(wiggleConfig) {
+    this.wiggleConfig = wiggleConfig
+  }
+
+  /**
+   * 设置或移除一个覆盖层
+   * @param {string} name - 覆盖层名称
+   * @param {Function|null} draw - 绘制函数 (ctx, viewport) => void，使用画布坐标；传 null 移除
+   */
+  setOverlay(name, draw) {
+    if (draw) {
+      this.overlays.set(name, draw)
+    } else {
+      this.overlays.delete(name)
+    }
+  }
+
+  /**
+   * 设置洋葱皮（内容不变时不重画）
+   * @param {Array<{pixels: Array<WigglePixel>, color: string}>} skins - 相邻帧的像素和着色，传空数组清除
+   */
+  setOnionSkin(skins) {
+    const unchanged = skins.length === this.onionSkins.length &&
+      skins.every((skin, index) => skin.pixels === this.onionSkins[index].pixels && skin.color === this.onionSkins[index].color)
+    if (unchanged) return
+
+    this.onionSkins = skins
+    this.onionKey = null
+  }
+
+  /**
+   * 绘制洋葱皮：支持离屏画布时预渲染一次后贴图，否则每次直接绘制（不着色）
+   * @param {CanvasContext} ctx - 已应用视口变换的画布上下文
+   */
+  drawOnionSkin(ctx) {
+    if (this.onionSkins.length === 0) return
+
+    const originalAlpha = ctx.globalAlpha
+    if (!this.cacheEnabled) {
+      ctx.globalAlpha = originalAlpha * ONION_SKIN_ALPHA
+      this.onionSkins.forEach(({ pixels }) => {
+        pixels.forEach(pixel => pixel.setFrame(0))
+        this.drawLayered(ctx, pixels, this.getDrawOptions())
+      })
+      ctx.globalAlpha = originalAlpha
+      return
+    }
+
+    const key = this.getCacheKey()
+    if (key !== this.onionKey) {
+      this.buildOnionSkin()
+      this.onionKey = key
+    }
+    ctx.globalAlpha = originalAlpha * ONION_SKIN_ALPHA
+    ctx.drawImage(this.onionFrames.canvas, 0, 0, this.canvasWidth, this.canvasHeight)
+    ctx.globalAlpha = originalAlpha
+  }
+
+  /**
+   * 把各洋葱皮的像素（第 0 帧）画到临时画布，只保留形状统一着色后叠加到洋葱皮画布
+   */
+  buildOnionSkin() {
+    const width = Math.round(this.canvasWidth * this.pixelRatio)
+    const height = Math.round(this.canvasHeight * this.pixelRatio)
+    if (!this.onionFrames || this.onionFrames.canvas.width !== width || this.onionFrames.canvas.height !== height) {
+      const canvas = wx.createOffscreenCanvas({ type: '2d', width, height })
+      const tint = wx.createOffscreenCanvas({ type: '2d', width, height })
+      this.onionFrames = { canvas, ctx: canvas.getContext('2d'), tint, tintCtx: tint.getContext('2d') }
+    }
+
+    const { ctx, tint, tintCtx } = this.onionFrames
+    const options = this.getCacheDrawOptions()
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, width, height)
+    this.onionSkins.forEach(({ pixels, color }) => {
+      tintCtx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0)
+      tintCtx.clearRect(0, 0, this.canvasWidth, this.canvasHeight)
+      pixels.forEach(pixel => pixel.setFrame(0))
+      this.drawLayered(tintCtx, pixels, options)
+
+      tintCtx.globalCompositeOperation = 'source-in'
+      tintCtx.fillStyle = color
+      tintCtx.fillRect(0, 0, this.canvasWidth, this.canvasHeight)
+      tintCtx.globalCompositeOperation = 'source-over'
+      ctx.drawImage(tint, 0, 0)
+    })
+  }
+
+  /**
+   * 切换导出模式：导出时按原始大小渲染，不应用缩放/平移
+   * @param {boolean} enabled
+   */
+  setExportMode(enabled) {
+    this.exportMode = enabled
+    this.exportPixels = null
+    this.framesTick = null
+    this.renderAllPixels()
+  }
+
+  /**
+   * 导出时改为绘制指定的像素，不切换当前动画帧（选区、烘焙的图块和缓存都不受影响）
+   * @param {Array<WigglePixel>|null} pixels - 按添加顺序排列的像素，null 表示绘制全部活跃像素
+   */
+  setExportPixels(pixels) {
+    this.exportPixels = pixels
+  }
+
   /**
    * 清除主画布
    */
   clearMainCanvas() {
     if (!this.displayCtx) return
-    
+
+    // 透明背景只清除，不填充
+    this.displayCtx.clearRect(0, 0, this.canvasWidth, this.canvasHeight)
+    if (this.backgroundColor === 'transparent') return
+
     this.displayCtx.fillStyle = this.backgroundColor
     this.displayCtx.fillRect(0, 0, this.canvasWidth, this.canvasHeight)
   }
   
   /**
-   * 渲染所有像素（简化版本）
+   * 渲染所有像素：缓存可用时直接贴上对应的缓存帧，否则逐个绘制
    */
   renderAllPixels() {
     if (!this.displayCtx) return
 
+    const start = Date.now()
+    this.syncPixelCache()
+    const useCache = this.isCacheReady()
+
     // 清除画布
     this.clearMainCanvas()
 
+    const ctx = this.displayCtx
+    ctx.save()
+    if (this.viewport && !this.exportMode) {
+      this.viewport.applyToContext(ctx)
+    }
+
     // 绘制所有活跃像素（所有像素都保持抖动）
-    for (const [, pixel] of this.pixelStore.activePixels) {
-      pixel.draw(this.displayCtx)
+    if (useCache) {
+      this.drawCachedFrame(ctx)
+    } else {
+      this.syncPixelFrames()
+      this.drawPixels(ctx)
+    }
+
+    // 绘制洋葱皮和覆盖层
+    if (!this.exportMode) {
+      this.drawOnionSkin(ctx)
+      for (const [, draw] of this.overlays) {
+        draw(ctx, this.viewport)
+      }
+    }
+
+    ctx.restore()
+
+    if (!this.exportMode) {
+      const elapsed = Date.now() - start
+      this.lastRenderCost = elapsed
+      if (useCache) {
+        this.stats.cachedFrames++
+        this.stats.cachedTime += elapsed
+      } else {
+        this.stats.directFrames++
+        this.stats.directTime += elapsed
+      }
+
+      if (this.hudVisible) {
+        this.drawHud(ctx)
+      }
+    }
+  }
+
+  /**
+   * 显示或隐藏性能浮层
+   * @param {boolean} visible
+   */
+  setHudVisible(visible) {
+    this.hudVisible = visible
+    this.hudLines = null
+    this.renderAllPixels()
+  }
+
+  /**
+   * 绘制性能浮层，文字按 HUD_REFRESH_INTERVAL 刷新
+   * @param {CanvasContext} ctx - 主画布上下文（画布坐标）
+   */
+  drawHud(ctx) {
+    const now = Date.now()
+    if (!this.hudLines || now - this.hudUpdatedAt >= HUD_REFRESH_INTERVAL) {
+      this.hudLines = formatHudLines(this.getPerformanceReport())
+      this.hudUpdatedAt = now
     }
+    drawPerformanceHud(ctx, this.hudLines, this.canvasHeight)
   }
   
   /**
-   * 动画循环（使用 setTimeout 适配微信小程序）
+   * 获取像素绘制参数：光晕按实际缩放换算，浅色背景上不使用变亮类混合，抖动幅度使用全局设置
+   * 画质降低时逐个绘制的像素不画光晕（导出始终按最高画质，缓存见 getCacheDrawOptions）
+   * @returns {{shadowScale: number, lightBackground: boolean, amplitude: number, glow: boolean}}
+   */
+  getDrawOptions() {
+    const viewportScale = this.viewport && !this.exportMode ? this.viewport.scale : 1
+    return {
+      shadowScale: this.pixelRatio * viewportScale,
+      lightBackground: isLightColor(this.backgroundColor),
+      amplitude: this.wiggleConfig ? this.wiggleConfig.amplitude : 1,
+      glow: this.exportMode || this.getQuality().glow
+    }
+  }
+
+  /**
+   * 当前画质档位
+   * @returns {Object} 见 QUALITY_LEVELS
+   */
+  getQuality() {
+    return QUALITY_LEVELS[this.qualityLevel]
+  }
+
+  /**
+   * 开启/关闭自适应画质，关闭时恢复最高画质
+   * @param {boolean} enabled
+   */
+  setAdaptiveQuality(enabled) {
+    this.adaptiveQuality = enabled
+    if (!enabled) {
+      this.setQualityLevel(0)
+    }
+  }
+
+  /**
+   * 切换画质档位
+   * @param {number} level - QUALITY_LEVELS 的下标
+   */
+  setQualityLevel(level) {
+    const next = Math.min(QUALITY_LEVELS.length - 1, Math.max(0, level))
+    if (next === this.qualityLevel) return
+
+    this.qualityLevel = next
+    this.lightLoadWindows = 0
+    console.log(`渲染画质调整为 ${QUALITY_LEVELS[next].name}`)
+  }
+
+  /**
+   * 记录一帧的耗时，定期按负载（每帧耗时 / 帧间隔）升降画质
+   * @param {number} cost - 本帧耗时（毫秒）
+   * @param {number} now - 当前时间（毫秒）
+   */
+  updateQuality(cost, now) {
+    this.frameCost = this.frameCost ? this.frameCost * 0.8 + cost * 0.2 : cost
+    if (!this.adaptiveQuality || now - this.governorCheckedAt < GOVERNOR_WINDOW) return
+    this.governorCheckedAt = now
+
+    const load = this.frameCost / this.getFrameInterval()
+    if (load > DEGRADE_LOAD) {
+      this.setQualityLevel(this.qualityLevel + 1)
+    } else if (load < UPGRADE_LOAD && this.qualityLevel > 0) {
+      this.lightLoadWindows++
+      if (this.lightLoadWindows >= UPGRADE_WINDOWS) {
+        this.setQualityLevel(this.qualityLevel - 1)
+      }
+    } else {
+      this.lightLoadWindows = 0
+    }
+  }
+
+  /**
+   * 获取全局抖动速度
+   * @returns {number}
+   */
+  getWiggleSpeed() {
+    return this.wiggleConfig ? this.wiggleConfig.speed : 1
+  }
+
+  /**
+   * 按图层从下到上绘制像素，跳过隐藏的图层
+   * 图层不透明度通过 globalAlpha 与像素自身的透明度相乘
+   * 导出时逐个绘制全部像素，否则烘焙的像素按图块贴图
+   * @param {CanvasContext} ctx - 画布上下文
+   */
+  drawPixels(ctx) {
+    if (this.exportMode) {
+      this.drawLayered(ctx, this.exportPixels || this.pixelStore.activePixels.values(), this.getDrawOptions())
+    } else {
+      const frameIndex = Math.floor(this.wiggleTick) % CACHE_FRAME_COUNT
+      this.drawLayered(ctx, this.pixelStore.livePixels, this.getDrawOptions(), frameIndex)
+    }
+  }
+
+  /**
+   * 按图层顺序绘制一组像素
+   * 指定 frameIndex 时先绘制各图层的烘焙图块（同一图层内烘焙的像素比未烘焙的早），pixels 中不应包含烘焙的像素
+   * @param {CanvasContext} ctx - 画布上下文
+   * @param {Iterable<WigglePixel>} pixels - 按添加顺序排列的像素
+   * @param {Object} options - 见 getDrawOptions
+   * @param {number|null} [frameIndex=null] - 烘焙图块使用的帧，null 表示不绘制图块
+   * @param {Object} [rect] - 只绘制与该区域相交的图块（画布坐标）
+   */
+  drawLayered(ctx, pixels, options, frameIndex = null, rect = null) {
+    const tileGroups = frameIndex === null ? null : this.groupTiles()
+
+    if (!this.layerStore) {
+      if (tileGroups) {
+        tileGroups.forEach(tiles => this.drawTiles(ctx, tiles, options, frameIndex, rect))
+      }
+      for (const pixel of pixels) {
+        pixel.draw(ctx, options)
+      }
+      return
+    }
+
+    // 按图层分组，图层内保持添加顺序
+    const groups = new Map()
+    for (const pixel of pixels) {
+      let group = groups.get(pixel.layerId)
+      if (!group) {
+        group = []
+        groups.set(pixel.layerId, group)
+      }
+      group.push(pixel)
+    }
+
+    const originalAlpha = ctx.globalAlpha
+    this.layerStore.layers.forEach(layer => {
+      const group = groups.get(layer.id)
+      const tiles = tileGroups && tileGroups.get(layer.id)
+      if (!layer.visible || (!group && !tiles)) return
+
+      ctx.globalAlpha = originalAlpha * layer.opacity
+      if (tiles) {
+        this.drawTiles(ctx, tiles, options, frameIndex, rect)
+      }
+      if (group) {
+        group.forEach(pixel => pixel.draw(ctx, options))
+      }
+    })
+    ctx.globalAlpha = originalAlpha
+  }
+
+  /**
+   * 按图层分组烘焙图块，图层内普通叠加的图块在前
+   * @returns {Map<string, Array<Object>>}
+   */
+  groupTiles() {
+    const groups = new Map()
+    for (const tile of this.pixelStore.tiles.values()) {
+      let group = groups.get(tile.layerId)
+      if (!group) {
+        group = []
+        groups.set(tile.layerId, group)
+      }
+      group.push(tile)
+    }
+    groups.forEach(group => {
+      group.sort((a, b) => (a.composite === 'source-over' ? 0 : 1) - (b.composite === 'source-over' ? 0 : 1))
+    })
+    return groups
+  }
+
+  /**
+   * 绘制一组烘焙图块：建好的图块直接贴图，未建好的逐个绘制其中的像素
+   * @param {CanvasContext} ctx - 画布上下文
+   * @param {Array<Object>} tiles - 见 PixelStore.tiles
+   * @param {Object} options - 见 getDrawOptions
+   * @param {number} frameIndex - 缓存帧序号
+   * @param {Object} [rect] - 只绘制与该区域相交的部分
+   */
+  drawTiles(ctx, tiles, options, frameIndex, rect) {
+    tiles.forEach(tile => {
+      if (this.tileCache.isReady(tile)) {
+        if (rect && !intersects(this.tileCache.getBounds(tile), rect)) return
+        this.tileCache.draw(ctx, tile, frameIndex, getEffectiveComposite(tile.composite, options.lightBackground))
+        return
+      }
+
+      // 缓存帧序号与动画时钟对 CACHE_FRAME_COUNT 取余相同，可以直接当作时钟
+      tile.pixels.forEach(pixel => {
+        if (rect && !intersects(pixel.getBounds(options.amplitude), rect)) return
+        pixel.setFrame(frameIndex)
+        pixel.draw(ctx, options)
+      })
+      this.framesTick = null
+    })
+  }
+
+  /**
+   * 获取两次渲染的间隔：抖动加快时提高渲染帧率（最多翻倍），避免每次渲染跳过太多帧；画质降低时相应放慢
+   * @returns {number} 毫秒
+   */
+  getFrameInterval() {
+    return this.frameInterval / this.getQuality().fpsScale / Math.min(2, Math.max(1, this.getWiggleSpeed()))
+  }
+
+  /**
+   * 安排下一次动画循环：画布支持时使用 canvas.requestAnimationFrame，否则使用 setTimeout
+   */
+  scheduleNextFrame() {
+    if (!this.isAnimating) return
+
+    const canvas = this.displayCanvas
+    if (canvas && typeof canvas.requestAnimationFrame === 'function') {
+      this.animationUsesRAF = true
+      this.animationId = canvas.requestAnimationFrame(() => this.animate())
+    } else {
+      this.animationUsesRAF = false
+      this.animationId = setTimeout(() => this.animate(), this.getFrameInterval())
+    }
+  }
+
+  /**
+   * 动画循环
    */
   animate() {
     try {
       const now = Date.now()
 
-      // 节流渲染
-      if (now - this.lastRenderTime < this.renderThrottle) {
-        if (this.isAnimating) {
-          this.animationId = setTimeout(() => this.animate(), this.frameInterval)
-        }
+      // 省电模式：长时间没有操作时停在当前帧
+      if (this.idleTimeout > 0 && now - this.lastInputTime >= this.idleTimeout) {
+        this.pause('idle')
         return
       }
 
-      this.lastRenderTime = now
+      // requestAnimationFrame 按屏幕刷新率回调，未到帧间隔时跳过
+      if (now - this.lastRenderTime < this.getFrameInterval() - FRAME_TOLERANCE) {
+        this.scheduleNextFrame()
+        return
+      }
 
-      // 更新所有活跃像素
-      this.pixelStore.updateActivePixels()
+      // 按经过的时间推进抖动时钟，每个像素按自己的相位和速度取帧
+      const elapsed = Math.min(now - this.lastFrameTime, this.getFrameInterval() * 4)
+      this.lastFrameTime = now
+      this.lastRenderTime = now
+      this.wiggleTick += elapsed / 1000 * BASE_WIGGLE_RATE * this.getWiggleSpeed()
 
-      // 渲染所有像素
+      // 渲染所有像素，缓存和烘焙图块未建好时顺便建一部分（这部分和脏区域重绘计为更新耗时）
+      this.buildTiles()
+      this.buildPixelCache(now)
+      this.syncPixelCache()
+      const updateCost = Date.now() - now
+      this.renderCount++
       this.renderAllPixels()
+      this.recordFrame(now, updateCost, this.lastRenderCost)
+      this.updateQuality(Date.now() - now, now)
 
       // 继续动画循环
-      if (this.isAnimating) {
-        this.animationId = setTimeout(() => this.animate(), this.frameInterval)
-      }
+      this.scheduleNextFrame()
     } catch (error) {
       console.error('动画循环错误:', error)
       this.stopAnimation()
@@ -126,10 +897,11 @@ class optimizedAnimationController {
    * 启动动画
    */
   startAnimation() {
-    if (this.isAnimating) return
+    if (this.isAnimating || this.pauseReasons.size > 0) return
     
     this.isAnimating = true
     this.lastFrameTime = Date.now()
+    this.governorCheckedAt = this.lastFrameTime
     this.animate()
     console.log('动画已启动')
   }
@@ -140,21 +912,236 @@ class optimizedAnimationController {
   stopAnimation() {
     this.isAnimating = false
     if (this.animationId) {
-      clearTimeout(this.animationId)
+      if (this.animationUsesRAF && this.displayCanvas) {
+        this.displayCanvas.cancelAnimationFrame(this.animationId)
+      } else {
+        clearTimeout(this.animationId)
+      }
       this.animationId = null
     }
     console.log('动画已停止')
   }
   
   /**
-   * 获取性能报告（简化版本）
+   * 暂停动画，画面停在当前帧
+   * @param {string} reason - 暂停原因，同一原因需要用 resume 解除
+   */
+  pause(reason) {
+    this.pauseReasons.add(reason)
+    if (this.isAnimating) {
+      this.stopAnimation()
+    }
+  }
+
+  /**
+   * 解除一个暂停原因，没有其他原因时从暂停时的抖动时钟继续
+   * @param {string} reason
+   */
+  resume(reason) {
+    if (!this.pauseReasons.delete(reason)) return
+    if (this.pauseReasons.size === 0 && this.pixelStore.activePixels.size > 0) {
+      this.startAnimation()
+    }
+  }
+
+  /**
+   * 设置省电模式的冻结时间
+   * @param {number} timeout - 毫秒，0 为关闭
+   */
+  setIdleTimeout(timeout) {
+    this.idleTimeout = timeout
+    this.lastInputTime = Date.now()
+    this.resume('idle')
+  }
+
+  /**
+   * 记录一次用户操作，省电模式下解除冻结
+   */
+  notifyInput() {
+    this.lastInputTime = Date.now()
+    this.resume('idle')
+  }
+
+  /**
+   * 清空渲染耗时统计
+   */
+  resetPerformanceStats() {
+    this.stats = {
+      cachedFrames: 0,
+      cachedTime: 0,
+      directFrames: 0,
+      directTime: 0,
+      rebuiltFrames: 0,
+      rebuildTime: 0,
+      dirtyUpdates: 0,
+      dirtyTime: 0,
+      tileBuilds: 0,
+      tileBuildTime: 0,
+      // 最近 FRAME_SAMPLE_COUNT 帧的 { time, updateMs, renderMs }，循环写入
+      frameSamples: [],
+      nextSample: 0,
+      gifExports: [],
+      memoryWarnings: 0,
+      lastMemoryWarningLevel: null
+    }
+  }
+
+  /**
+   * 记录一帧的耗时
+   * @param {number} time - 帧开始时间（毫秒）
+   * @param {number} updateMs - 推进时钟、建缓存和图块的耗时
+   * @param {number} renderMs - 绘制到主画布的耗时
+   */
+  recordFrame(time, updateMs, renderMs) {
+    const stats = this.stats
+    stats.frameSamples[stats.nextSample] = { time, updateMs, renderMs }
+    stats.nextSample = (stats.nextSample + 1) % FRAME_SAMPLE_COUNT
+  }
+
+  /**
+   * 记录一次GIF导出的耗时（由 utils/gifExport 调用）
+   * @param {{frames: number, captureMs: number, encodeMs: number, writeMs: number, bytes: number}} timing
+   */
+  recordGifExport(timing) {
+    const exports = this.stats.gifExports
+    exports.push({ ...timing, time: Date.now() })
+    if (exports.length > GIF_EXPORT_HISTORY) {
+      exports.shift()
+    }
+  }
+
+  /**
+   * 记录一次系统内存告警（wx.onMemoryWarning）
+   * @param {number} [level] - 告警级别，仅 Android 提供
+   */
+  recordMemoryWarning(level) {
+    this.stats.memoryWarnings++
+    this.stats.lastMemoryWarningLevel = level === undefined ? null : level
+  }
+
+  /**
+   * 统计最近几帧的实际帧率和耗时分位数
+   * @returns {Object}
+   */
+  getFrameTimings() {
+    const samples = this.stats.frameSamples
+    const now = Date.now()
+    const totals = samples.map(sample => sample.updateMs + sample.renderMs).sort((a, b) => a - b)
+    const sum = key => samples.reduce((total, sample) => total + sample[key], 0)
+    const count = samples.length
+
+    return {
+      fps: samples.filter(sample => now - sample.time < 1000).length,
+      samples: count,
+      p50Ms: percentile(totals, 0.5),
+      p90Ms: percentile(totals, 0.9),
+      p99Ms: percentile(totals, 0.99),
+      maxMs: count > 0 ? totals[count - 1] : null,
+      averageUpdateMs: count > 0 ? sum('updateMs') / count : null,
+      averageRenderMs: count > 0 ? sum('renderMs') / count : null
+    }
+  }
+
+  /**
+   * 按图层顺序统计每个图层的像素数
+   * @returns {Array<{id: string, name: string, visible: boolean, pixels: number, baked: number}>}
+   */
+  getLayerPixelCounts() {
+    const counts = new Map()
+    this.pixelStore.activePixels.forEach(pixel => {
+      let count = counts.get(pixel.layerId)
+      if (!count) {
+        count = { pixels: 0, baked: 0 }
+        counts.set(pixel.layerId, count)
+      }
+      count.pixels++
+      if (pixel.tileKey) count.baked++
+    })
+
+    const layers = this.layerStore ? this.layerStore.layers : []
+    return layers.map(layer => ({
+      id: layer.id,
+      name: layer.name,
+      visible: layer.visible,
+      ...(counts.get(layer.id) || { pixels: 0, baked: 0 })
+    }))
+  }
+
+  /**
+   * 估算画布、缓存和像素（含其他动画帧）占用的内存（字节）
+   * @returns {Object}
+   */
+  getMemoryEstimate() {
+    const canvas = this.displayCanvas
+    const displayBytes = canvas ? canvas.width * canvas.height * 4 : 0
+    const cacheBytes = this.cacheFrames.reduce((total, { canvas }) => total + canvas.width * canvas.height * 4, 0)
+    const tileBytes = this.tileCache.getMemoryBytes()
+    const onionBytes = this.onionFrames ? this.onionFrames.canvas.width * this.onionFrames.canvas.height * 4 * 2 : 0
+    const pixelBytes = (this.pixelStore.activePixels.size + this.pixelStore.reservedPixelCount) * PIXEL_BYTES_ESTIMATE
+
+    return {
+      displayBytes,
+      cacheBytes,
+      tileBytes,
+      onionBytes,
+      pixelBytes,
+      totalBytes: displayBytes + cacheBytes + tileBytes + onionBytes + pixelBytes,
+      warnings: this.stats.memoryWarnings,
+      lastWarningLevel: this.stats.lastMemoryWarningLevel
+    }
+  }
+
+  /**
+   * 获取性能报告
+   * frames 为最近 FRAME_SAMPLE_COUNT 帧的统计，fps 为最近一秒实际渲染的帧数；
+   * cache.speedup 为逐个绘制与使用缓存的平均每帧耗时之比（两种方式都渲染过才有）
    */
   getPerformanceReport() {
+    const stats = this.stats
+    const average = (time, count) => count > 0 ? time / count : null
+    const cachedFrameMs = average(stats.cachedTime, stats.cachedFrames)
+    const directFrameMs = average(stats.directTime, stats.directFrames)
+
     return {
       isAnimating: this.isAnimating,
+      pausedBy: Array.from(this.pauseReasons),
       activePixels: this.pixelStore.activePixels.size,
       totalPixels: this.pixelStore.totalPixelCount,
-      lastRenderTime: this.lastRenderTime
+      lastRenderTime: this.lastRenderTime,
+      frames: this.getFrameTimings(),
+      quality: {
+        adaptive: this.adaptiveQuality,
+        level: this.getQuality().name,
+        fps: 1000 / this.getFrameInterval(),
+        frameCostMs: this.frameCost,
+        glow: this.getQuality().glow,
+        scheduler: this.animationUsesRAF ? 'requestAnimationFrame' : 'setTimeout'
+      },
+      cache: {
+        enabled: this.cacheEnabled,
+        ready: this.isCacheReady(),
+        frameCount: CACHE_FRAME_COUNT,
+        framesMatch: this.checkCacheFrames(),
+        cachedFrames: stats.cachedFrames,
+        averageCachedFrameMs: cachedFrameMs,
+        directFrames: stats.directFrames,
+        averageDirectFrameMs: directFrameMs,
+        speedup: cachedFrameMs && directFrameMs ? directFrameMs / cachedFrameMs : null,
+        rebuiltFrames: stats.rebuiltFrames,
+        averageRebuildMs: average(stats.rebuildTime, stats.rebuiltFrames),
+        dirtyUpdates: stats.dirtyUpdates,
+        averageDirtyUpdateMs: average(stats.dirtyTime, stats.dirtyUpdates)
+      },
+      lod: {
+        livePixels: this.pixelStore.livePixelCount,
+        bakedPixels: this.pixelStore.bakedPixelCount,
+        tiles: this.pixelStore.tiles.size,
+        tileBuilds: stats.tileBuilds,
+        averageTileBuildMs: average(stats.tileBuildTime, stats.tileBuilds)
+      },
+      layers: this.getLayerPixelCounts(),
+      memory: this.getMemoryEstimate(),
+      gifExports: stats.gifExports.slice()
     }
   }
   
@@ -175,14 +1162,76 @@ class optimizedAnimationController {
       this.configReaction()
       this.configReaction = null
     }
+
+    if (this.pixelsObserver) {
+      this.pixelsObserver()
+      this.pixelsObserver = null
+    }
     
     // 清理引用
     this.displayCanvas = null
     this.displayCtx = null
+    this.viewport = null
+    this.layerStore = null
+    this.wiggleConfig = null
+    this.overlays.clear()
+    this.onionSkins = []
+    this.onionFrames = null
+    this.cacheFrames = []
+    this.tileCache.clear()
     this.pixelStore = null
     
     console.log('动画控制器已销毁')
   }
 }
 
+/**
+ * 判断背景是否为浅色（透明背景按深色处理，变亮类混合在透明处直接显示颜色）
+ * @param {string} color - HEX颜色或 'transparent'
+ * @returns {boolean}
+ */
+function isLightColor(color) {
+  const rgb = hexToRgb(color)
+  if (!rgb) return false
+  return (0.299 * rgb.r + 0.587 * rgb.g + 0.114 * rgb.b) / 255 > 0.5
+}
+
+/**
+ * @param {Array<number>} sorted - 升序排列的数值
+ * @param {number} p - 0-1
+ * @returns {number|null}
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
+}
+
+function unionRect(a, b) {
+  const x = Math.min(a.x, b.x)
+  const y = Math.min(a.y, b.y)
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y
+  }
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+}
+
+/**
+ * 把区域裁剪到画布范围内并对齐到整数坐标
+ * @returns {Object|null} 与画布不相交时返回 null
+ */
+function clipRect(rect, width, height) {
+  const x = Math.max(0, Math.floor(rect.x))
+  const y = Math.max(0, Math.floor(rect.y))
+  const right = Math.min(width, Math.ceil(rect.x + rect.width))
+  const bottom = Math.min(height, Math.ceil(rect.y + rect.height))
+  if (right <= x || bottom <= y) return null
+  return { x, y, width: right - x, height: bottom - y }
+}
+
 module.exports = { optimizedAnimationController: optimizedAnimationController }
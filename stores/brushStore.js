@@ -0,0 +1,194 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+const {
+  PRESET_FIELDS,
+  registerBrush,
+  unregisterBrush,
+  getBrush,
+  listBrushes,
+  createPresetDefinition
+} = require('../utils/brushes')
+
+const PRESETS_KEY = 'doudou_brush_presets'
+
+/**
+ * 画笔存储
+ * 记录当前画笔，管理用户保存的画笔预设并持久化到本地缓存
+ */
+class BrushStore {
+  constructor() {
+    this.currentBrushId = 'pencil'
+
+    // 预设数据 { id, name, baseId, ...PRESET_FIELDS }，对应的画笔定义注册在 utils/brushes.js
+    this.presets = []
+
+    this.config = {
+      maxPresets: 12
+    }
+
+    // 预设ID计数器
+    this.nextPresetId = 1
+
+    makeObservable(this, {
+      currentBrushId: observable,
+      presets: observable,
+      toolbarBrushes: computed,
+      currentSettings: computed,
+      load: action,
+      setCurrentBrush: action,
+      createPreset: action,
+      updatePreset: action,
+      deletePreset: action
+    })
+
+    this.load()
+  }
+
+  /**
+   * 当前画笔（预设被删除等情况下回退到铅笔）
+   */
+  get currentBrush() {
+    return getBrush(this.currentBrushId) || getBrush('pencil')
+  }
+
+  /**
+   * 工具栏显示的画笔列表
+   */
+  get toolbarBrushes() {
+    // 读取预设字段，预设变化时重新计算
+    const presetColors = {}
+    this.presets.forEach(preset => {
+      presetColors[preset.id] = preset.color
+    })
+
+    return listBrushes().map(brush => ({
+      id: brush.id,
+      name: brush.name,
+      color: presetColors[brush.id] || brush.color,
+      isEraser: brush.isEraser,
+      isPreset: brush.isPreset
+    }))
+  }
+
+  /**
+   * 当前画笔的可调参数（预设从预设数据读取，修改后界面随之更新）
+   */
+  get currentSettings() {
+    const brush = this.currentBrush
+    const preset = this.presets.find(p => p.id === brush.id)
+    const source = preset || brush
+
+    const settings = { id: brush.id, isPreset: brush.isPreset, isEraser: brush.isEraser, isSpray: !!brush.spray }
+    PRESET_FIELDS.forEach(field => {
+      settings[field] = source[field]
+    })
+    return settings
+  }
+
+  /**
+   * 从本地缓存读取预设并注册
+   */
+  load() {
+    let presets = []
+    try {
+      presets = wx.getStorageSync(PRESETS_KEY) || []
+    } catch (error) {
+      console.error('读取画笔预设失败:', error)
+    }
+
+    this.presets = presets.filter(preset => {
+      const definition = createPresetDefinition(preset)
+      if (definition) {
+        registerBrush(definition)
+      }
+      return !!definition
+    })
+
+    this.nextPresetId = this.presets.reduce((max, preset) => {
+      const num = parseInt(String(preset.id).replace('preset_', ''), 10)
+      return isNaN(num) ? max : Math.max(max, num + 1)
+    }, 1)
+  }
+
+  /**
+   * 写入本地缓存
+   */
+  save() {
+    try {
+      wx.setStorageSync(PRESETS_KEY, this.presets.map(preset => Object.assign({}, preset)))
+    } catch (error) {
+      console.error('保存画笔预设失败:', error)
+    }
+  }
+
+  /**
+   * 切换画笔
+   * @param {string} brushId
+   */
+  setCurrentBrush(brushId) {
+    if (getBrush(brushId)) {
+      this.currentBrushId = brushId
+    }
+  }
+
+  /**
+   * 以某支画笔为基础保存预设，并切换到该预设
+   * @param {string} name - 预设名称
+   * @param {Object} base - 基础画笔
+   * @param {Object} [overrides] - 覆盖的字段（见 PRESET_FIELDS）
+   * @returns {string|null} 预设ID，超出数量上限或基础画笔为橡皮擦时返回 null
+   */
+  createPreset(name, base, overrides = {}) {
+    if (!base || base.isEraser || this.presets.length >= this.config.maxPresets) return null
+
+    const preset = {
+      id: `preset_${this.nextPresetId++}`,
+      name: name || `预设${this.presets.length + 1}`,
+      baseId: base.baseId || base.id
+    }
+    PRESET_FIELDS.forEach(field => {
+      preset[field] = overrides[field] !== undefined ? overrides[field] : base[field]
+    })
+
+    registerBrush(createPresetDefinition(preset))
+    this.presets.push(preset)
+    this.currentBrushId = preset.id
+    this.save()
+    return preset.id
+  }
+
+  /**
+   * 修改预设
+   * @param {string} presetId
+   * @param {Object} changes - 修改的字段（见 PRESET_FIELDS）
+   */
+  updatePreset(presetId, changes) {
+    const preset = this.presets.find(p => p.id === presetId)
+    if (!preset) return
+
+    PRESET_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) {
+        preset[field] = changes[field]
+      }
+    })
+    registerBrush(createPresetDefinition(preset))
+    this.save()
+  }
+
+  /**
+   * 删除预设，正在使用时切换回它的基础画笔
+   * @param {string} presetId
+   */
+  deletePreset(presetId) {
+    const preset = this.presets.find(p => p.id === presetId)
+    if (!preset) return
+
+    unregisterBrush(presetId)
+    this.presets = this.presets.filter(p => p.id !== presetId)
+    if (this.currentBrushId === presetId) {
+      this.currentBrushId = preset.baseId
+    }
+    this.save()
+  }
+}
+
+module.exports = { BrushStore }
@@ -0,0 +1,200 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+
+/**
+ * 历史记录存储
+ * 以"步骤"为单位记录操作，一笔绘制、一次擦除、清空画布、切换背景各算一步
+ *
+ * 每个步骤包含若干操作记录（op），例如：
+ *   { type: 'add', pixels: [...] }       添加像素
+ *   { type: 'remove', pixels: [...] }    移除像素
+ *   { type: 'background', from, to }     背景切换
+ *   { type: 'backgroundColor', from, to }  背景色切换（浅色/深色画布）
+ *   { type: 'transform', pixels, from, to }  选区变换（from/to 为每个像素的 { x, y, size }）
+ *   { type: 'recolor', pixels, from, to }    选区改色（from/to 为每个像素的颜色）
+ *   { type: 'removeLayer', layer, index, pixels, framePixels }  删除图层及其像素（framePixels 为其他帧中的像素）
+ *   { type: 'addFrame', frame, index, pixels }     新建/复制动画帧
+ *   { type: 'removeFrame', frame, index, pixels }  删除动画帧及其像素
+ *   { type: 'moveFrame', frameId, direction }      前移/后移动画帧
+ *   { type: 'frameDuration', frameId, from, to }   修改帧的显示时长
+ * 每个步骤记录它发生在哪一帧（frameId），撤销/重做前先切换到那一帧
+ * 具体如何撤销/重做由 rootStore 负责执行
+ */
+class HistoryStore {
+  constructor() {
+    this.undoStack = []
+    this.redoStack = []
+
+    // 正在记录中的步骤（一笔画完之前不入栈）
+    this.pendingEntry = null
+
+    // 当前动画帧，新步骤记录在这一帧上
+    this.frameId = null
+
+    // 内存限制：最大步骤数和所有步骤中引用的像素总数
+    this.config = {
+      maxSteps: 50,
+      maxPixels: 20000
+    }
+
+    makeObservable(this, {
+      undoStack: observable.shallow,
+      redoStack: observable.shallow,
+      canUndo: computed,
+      canRedo: computed,
+      endEntry: action,
+      record: action,
+      popUndo: action,
+      popRedo: action,
+      clear: action
+    })
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0
+  }
+
+  /**
+   * 开始记录一个步骤
+   * @param {string} label - 步骤名称（draw/erase/clear/background）
+   * @param {number} [seed] - 笔画种子，重放时用它重新生成同样的随机结果
+   */
+  beginEntry(label, seed) {
+    if (this.pendingEntry) {
+      this.endEntry()
+    }
+    this.pendingEntry = seed === undefined
+      ? { label, frameId: this.frameId, ops: [] }
+      : { label, seed, frameId: this.frameId, ops: [] }
+  }
+
+  /**
+   * 结束当前步骤并入栈（空步骤直接丢弃）
+   * @returns {boolean} 是否有步骤入栈
+   */
+  endEntry() {
+    const entry = this.pendingEntry
+    this.pendingEntry = null
+    if (entry && entry.ops.length > 0) {
+      this.pushEntry(entry)
+      return true
+    }
+    return false
+  }
+
+  /**
+   * 取出未结束的步骤且不入栈
+   * @returns {Object|null} 步骤
+   */
+  takePendingEntry() {
+    const entry = this.pendingEntry
+    this.pendingEntry = null
+    return entry
+  }
+
+  /**
+   * 记录一个操作
+   * 有未结束的步骤时并入该步骤，否则单独成为一步
+   * @param {Object} op - 操作记录
+   */
+  record(op) {
+    if (!this.pendingEntry) {
+      this.pushEntry({ label: op.type, frameId: this.frameId, ops: [op] })
+      return
+    }
+
+    // 同类型的连续添加/移除操作合并，减少一笔之内的记录数量
+    const ops = this.pendingEntry.ops
+    const last = ops[ops.length - 1]
+    if (last && last.type === op.type && (op.type === 'add' || op.type === 'remove')) {
+      op.pixels.forEach(pixel => last.pixels.push(pixel))
+    } else {
+      ops.push(op)
+    }
+  }
+
+  /**
+   * 步骤入栈，新操作会使重做栈失效
+   * @param {Object} entry - 步骤
+   */
+  pushEntry(entry) {
+    this.undoStack.push(entry)
+    this.redoStack.clear()
+    this.trim()
+  }
+
+  /**
+   * 按步骤数和像素引用数裁剪最早的历史
+   */
+  trim() {
+    let pixelCount = this.undoStack.reduce((sum, entry) => sum + getEntrySize(entry), 0)
+
+    while (this.undoStack.length > 1 &&
+      (this.undoStack.length > this.config.maxSteps || pixelCount > this.config.maxPixels)) {
+      pixelCount -= getEntrySize(this.undoStack.shift())
+    }
+  }
+
+  /**
+   * 取出最近一步用于撤销，并移入重做栈
+   * @param {Object} [options]
+   * @param {boolean} [options.discard=false] - 直接丢弃，不移入重做栈
+   * @returns {Object|null} 步骤
+   */
+  popUndo({ discard = false } = {}) {
+    this.endEntry()
+    const entry = this.undoStack.pop()
+    if (!entry) return null
+    if (!discard) {
+      this.redoStack.push(entry)
+    }
+    return entry
+  }
+
+  /**
+   * 取出最近撤销的一步用于重做，并移回撤销栈
+   * @returns {Object|null} 步骤
+   */
+  popRedo() {
+    this.endEntry()
+    const entry = this.redoStack.pop()
+    if (!entry) return null
+    this.undoStack.push(entry)
+    return entry
+  }
+
+  /**
+   * 清空全部历史
+   */
+  clear() {
+    this.pendingEntry = null
+    this.undoStack.clear()
+    this.redoStack.clear()
+  }
+}
+
+/**
+ * 估算步骤占用（按引用的像素数量计算，删除图层时包括其他帧中的像素）
+ * @param {Object} entry - 步骤
+ * @returns {number}
+ */
+function getEntrySize(entry) {
+  return entry.ops.reduce((sum, op) => sum + getOpSize(op), 0)
+}
+
+/**
+ * @param {Object} op - 操作记录
+ * @returns {number}
+ */
+function getOpSize(op) {
+  let size = op.pixels ? op.pixels.length : 1
+  if (op.framePixels) {
+    size += op.framePixels.reduce((sum, frame) => sum + frame.pixels.length, 0)
+  }
+  return size
+}
+
+module.exports = { HistoryStore }
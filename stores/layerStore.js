@@ -0,0 +1,193 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+
+/**
+ * 图层存储
+ * 按从下到上的顺序管理图层，像素通过 layerId 归属到图层
+ */
+class LayerStore {
+  constructor() {
+    // 图层列表，下标 0 为最底层
+    this.layers = []
+    this.activeLayerId = null
+
+    // 图层ID计数器
+    this.nextLayerId = 1
+
+    this.config = {
+      maxLayers: 8
+    }
+
+    makeObservable(this, {
+      layers: observable,
+      activeLayerId: observable,
+      activeLayer: computed,
+      isActiveEditable: computed,
+      reset: action,
+      addLayer: action,
+      insertLayer: action,
+      removeLayer: action,
+      renameLayer: action,
+      moveLayer: action,
+      setVisible: action,
+      setLocked: action,
+      setOpacity: action,
+      setActiveLayer: action
+    })
+
+    this.reset()
+  }
+
+  /**
+   * 当前图层
+   */
+  get activeLayer() {
+    return this.getLayer(this.activeLayerId)
+  }
+
+  /**
+   * 当前图层是否可以编辑（可见且未锁定）
+   */
+  get isActiveEditable() {
+    const layer = this.activeLayer
+    return !!layer && layer.visible && !layer.locked
+  }
+
+  /**
+   * 恢复为只有一个图层
+   */
+  reset() {
+    this.nextLayerId = 1
+    this.layers = []
+    this.addLayer()
+  }
+
+  /**
+   * 按ID获取图层
+   * @param {string} layerId
+   * @returns {Object|null}
+   */
+  getLayer(layerId) {
+    return this.layers.find(layer => layer.id === layerId) || null
+  }
+
+  /**
+   * 获取图层在列表中的位置
+   * @param {string} layerId
+   * @returns {number} 不存在时返回 -1
+   */
+  indexOf(layerId) {
+    return this.layers.findIndex(layer => layer.id === layerId)
+  }
+
+  /**
+   * 判断图层是否可见（不存在的图层视为可见，兼容没有 layerId 的像素）
+   * @param {string} layerId
+   * @returns {boolean}
+   */
+  isVisible(layerId) {
+    const layer = this.getLayer(layerId)
+    return !layer || layer.visible
+  }
+
+  /**
+   * 在当前图层之上新建图层，并设为当前图层
+   * @param {string} [name] - 图层名称
+   * @returns {string|null} 图层ID，超出数量上限时返回 null
+   */
+  addLayer(name) {
+    if (this.layers.length >= this.config.maxLayers) return null
+
+    const id = `layer_${this.nextLayerId++}`
+    const layer = { id, name: name || `图层 ${this.nextLayerId - 1}`, visible: true, locked: false, opacity: 1 }
+    this.insertLayer(layer, this.indexOf(this.activeLayerId) + 1)
+    return id
+  }
+
+  /**
+   * 在指定位置插入图层并设为当前图层（删除图层后撤销时使用）
+   * @param {Object} layer - 图层
+   * @param {number} index - 插入位置
+   */
+  insertLayer(layer, index) {
+    this.layers.splice(Math.max(0, Math.min(index, this.layers.length)), 0, layer)
+    this.activeLayerId = layer.id
+  }
+
+  /**
+   * 移除图层，当前图层被移除时选中它下面的图层
+   * @param {string} layerId
+   * @returns {{layer: Object, index: number}|null} 被移除的图层和位置，只剩一个图层时不移除
+   */
+  removeLayer(layerId) {
+    const index = this.indexOf(layerId)
+    if (index < 0 || this.layers.length <= 1) return null
+
+    const [layer] = this.layers.splice(index, 1)
+    if (this.activeLayerId === layerId) {
+      this.activeLayerId = this.layers[Math.max(0, index - 1)].id
+    }
+    return { layer, index }
+  }
+
+  /**
+   * 重命名图层
+   * @param {string} layerId
+   * @param {string} name
+   */
+  renameLayer(layerId, name) {
+    const layer = this.getLayer(layerId)
+    if (layer && name) {
+      layer.name = name
+    }
+  }
+
+  /**
+   * 上移或下移图层
+   * @param {string} layerId
+   * @param {number} direction - 1 上移，-1 下移
+   * @returns {boolean} 是否移动
+   */
+  moveLayer(layerId, direction) {
+    const index = this.indexOf(layerId)
+    const target = index + direction
+    if (index < 0 || target < 0 || target >= this.layers.length) return false
+
+    const [layer] = this.layers.splice(index, 1)
+    this.layers.splice(target, 0, layer)
+    return true
+  }
+
+  setVisible(layerId, visible) {
+    const layer = this.getLayer(layerId)
+    if (layer) {
+      layer.visible = visible
+    }
+  }
+
+  setLocked(layerId, locked) {
+    const layer = this.getLayer(layerId)
+    if (layer) {
+      layer.locked = locked
+    }
+  }
+
+  /**
+   * 设置图层不透明度
+   * @param {string} layerId
+   * @param {number} opacity - 0-1
+   */
+  setOpacity(layerId, opacity) {
+    const layer = this.getLayer(layerId)
+    if (layer) {
+      layer.opacity = Math.min(1, Math.max(0, opacity))
+    }
+  }
+
+  setActiveLayer(layerId) {
+    if (this.getLayer(layerId)) {
+      this.activeLayerId = layerId
+    }
+  }
+}
+
+module.exports = { LayerStore }
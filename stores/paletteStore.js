@@ -0,0 +1,148 @@
+const { makeObservable, observable, action } = require('mobx-miniprogram')
+const { normalizeHex } = require('../utils/color')
+
+const RECENT_COLORS_KEY = 'doudou_recent_colors'
+const PALETTES_KEY = 'doudou_palettes'
+
+/**
+ * 调色板存储
+ * 管理最近使用的颜色和用户保存的调色板，持久化到本地缓存
+ */
+class PaletteStore {
+  constructor() {
+    this.recentColors = []
+    this.palettes = []
+
+    this.config = {
+      maxRecentColors: 10,
+      maxPaletteColors: 24
+    }
+
+    // 调色板ID计数器
+    this.nextPaletteId = 1
+
+    makeObservable(this, {
+      recentColors: observable,
+      palettes: observable,
+      load: action,
+      addRecentColor: action,
+      createPalette: action,
+      deletePalette: action,
+      addColorToPalette: action,
+      removeColorFromPalette: action
+    })
+
+    this.load()
+  }
+
+  /**
+   * 从本地缓存读取，没有保存过调色板时创建默认调色板
+   */
+  load() {
+    try {
+      this.recentColors = wx.getStorageSync(RECENT_COLORS_KEY) || []
+      this.palettes = wx.getStorageSync(PALETTES_KEY) || []
+    } catch (error) {
+      console.error('读取调色板失败:', error)
+      this.recentColors = []
+      this.palettes = []
+    }
+
+    if (this.palettes.length === 0) {
+      this.palettes = [{
+        id: 'default',
+        name: '复古',
+        colors: ['#000000', '#39C5BB', '#FFFFFF', '#E4572E', '#F3A712', '#29335C', '#A8C686', '#669BBC']
+      }]
+    }
+
+    this.nextPaletteId = this.palettes.reduce((max, palette) => {
+      const num = parseInt(String(palette.id).replace('palette_', ''), 10)
+      return isNaN(num) ? max : Math.max(max, num + 1)
+    }, 1)
+  }
+
+  /**
+   * 写入本地缓存
+   */
+  save() {
+    try {
+      wx.setStorageSync(RECENT_COLORS_KEY, this.recentColors.slice())
+      wx.setStorageSync(PALETTES_KEY, this.palettes.map(palette => ({
+        id: palette.id,
+        name: palette.name,
+        colors: palette.colors.slice()
+      })))
+    } catch (error) {
+      console.error('保存调色板失败:', error)
+    }
+  }
+
+  /**
+   * 记录最近使用的颜色（去重，最新的排在最前）
+   * @param {string} color - HEX颜色
+   */
+  addRecentColor(color) {
+    const hex = normalizeHex(color)
+    if (!hex) return
+
+    const colors = this.recentColors.filter(c => c !== hex)
+    colors.unshift(hex)
+    this.recentColors = colors.slice(0, this.config.maxRecentColors)
+    this.save()
+  }
+
+  /**
+   * 新建调色板
+   * @param {string} name - 调色板名称
+   * @returns {string} 调色板ID
+   */
+  createPalette(name) {
+    const id = `palette_${this.nextPaletteId++}`
+    this.palettes.push({ id, name: name || `调色板${this.palettes.length + 1}`, colors: [] })
+    this.save()
+    return id
+  }
+
+  /**
+   * 删除调色板
+   * @param {string} paletteId
+   */
+  deletePalette(paletteId) {
+    this.palettes = this.palettes.filter(palette => palette.id !== paletteId)
+    this.save()
+  }
+
+  /**
+   * 向调色板添加颜色
+   * @param {string} paletteId
+   * @param {string} color - HEX颜色
+   * @returns {boolean} 是否添加成功
+   */
+  addColorToPalette(paletteId, color) {
+    const hex = normalizeHex(color)
+    const palette = this.palettes.find(p => p.id === paletteId)
+    if (!hex || !palette) return false
+    if (palette.colors.indexOf(hex) >= 0) return true
+    if (palette.colors.length >= this.config.maxPaletteColors) return false
+
+    palette.colors.push(hex)
+    this.save()
+    return true
+  }
+
+  /**
+   * 从调色板移除颜色
+   * @param {string} paletteId
+   * @param {string} color - HEX颜色
+   */
+  removeColorFromPalette(paletteId, color) {
+    const palette = this.palettes.find(p => p.id === paletteId)
+    if (!palette) return
+
+    palette.colors = palette.colors.filter(c => c !== color)
+    this.save()
+  }
+}
+
+module.exports = { PaletteStore }
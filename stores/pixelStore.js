@@ -0,0 +1,472 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+const { WigglePixel } = require('../utils/animation')
+const { isPointInPolygon } = require('../utils/selection')
+const { SpatialGrid } = require('../utils/spatialGrid')
+
+// 烘焙图块的边长（画布坐标）
+const TILE_SIZE = 64
+// 烘焙到活跃像素降到 maxActivePixels 的这个比例为止，避免每添加一个像素都烘焙一次
+const BAKE_TARGET_RATIO = 0.8
+// 从最早的这么多个未烘焙像素所在的图块中挑像素最多的一块烘焙
+const BAKE_CANDIDATES = 64
+
+/**
+ * 像素存储
+ * 管理画布上所有活跃的抖动像素
+ *
+ * 细节层级：单独抖动的像素超过 maxActivePixels 时，把又老又密的区域烘焙成图块，
+ * 渲染器把图块预渲染成几帧抖动画面整体绘制，像素数量不再限制画作大小；
+ * 烘焙的像素仍保留在 activePixels 中，可以照常擦除、撤销和导出
+ */
+class PixelStore {
+  constructor() {
+    // 活跃像素（浅层观察，像素对象本身不做响应式处理，避免动画更新触发监听）
+    this.activePixels = observable.map(new Map(), { deep: false })
+
+    // 按像素锚点建立的空间索引，范围查询不用遍历全部像素
+    this.spatialIndex = new SpatialGrid()
+
+    // 像素绘制范围（含抖动偏移和光晕）超出锚点的最大距离，用于扩大按覆盖范围查询时的搜索范围
+    this.maxPixelExtent = 0
+
+    // 未烘焙的像素（按添加顺序），每个单独绘制
+    this.livePixels = new Set()
+    // 烘焙图块：图块键 -> { key, layerId, composite, col, row, pixels, version }
+    // 同一图块内的像素属于同一图层、使用同一混合模式，锚点落在同一格内
+    this.tiles = new Map()
+    // 任一图块的像素变化时递增，渲染器据此判断是否需要重建图块
+    this.tilesVersion = 0
+    this.bakedPixelCount = 0
+
+    // 累计添加的像素数量
+    this.totalPixelCount = 0
+
+    // 保存在其他动画帧中的像素数量（见 TimelineStore），与活跃像素一起计入像素总数上限
+    this.reservedPixelCount = 0
+
+    // 配置
+    this.config = {
+      // 单独抖动的像素上限，超出时烘焙最早的区域
+      maxActivePixels: 5000,
+      // 像素总数上限（内存限制），达到后不能再添加
+      maxTotalPixels: 100000,
+      // 持续喷洒时每秒最多添加的像素数占 maxActivePixels 的比例
+      emissionRate: 0.1
+    }
+
+    // 喷洒限速的令牌桶
+    this.emissionTokens = 0
+    this.lastEmissionTime = 0
+
+    // 像素ID计数器
+    this.nextPixelId = 0
+
+    makeObservable(this, {
+      totalPixelCount: observable,
+      bakedPixelCount: observable,
+      reservedPixelCount: observable,
+      config: observable,
+      isFull: computed,
+      livePixelCount: computed,
+      addPixel: action,
+      addPixels: action,
+      updatePixels: action,
+      removePixels: action,
+      bakePixels: action,
+      setReservedPixelCount: action,
+      takeAllPixels: action,
+      clear: action
+    })
+  }
+
+  /**
+   * 是否已达到像素总数上限（含其他动画帧中的像素）
+   */
+  get isFull() {
+    return this.activePixels.size + this.reservedPixelCount >= this.config.maxTotalPixels
+  }
+
+  /**
+   * 单独抖动（未烘焙）的像素数量
+   */
+  get livePixelCount() {
+    return this.activePixels.size - this.bakedPixelCount
+  }
+
+  /**
+   * 创建一个抖动像素（不加入存储）
+   * @param {number} x - 像素x坐标
+   * @param {number} y - 像素y坐标
+   * @param {string} color - 像素颜色
+   * @param {Array} frameData - 帧动画数据
+   * @param {Object} brushSize - 画笔大小配置 { size, opacity }
+   * @param {string} penType - 画笔类型
+   * @param {Object} [style] - 绘制效果和抖动风格 { composite, glow, amplitude, speed }
+   * @param {number} [seed] - 像素种子，决定抖动的起始帧
+   * @returns {WigglePixel} 新的抖动像素
+   */
+  createPixel(x, y, color, frameData, brushSize, penType, style, seed) {
+    const pixel = new WigglePixel(x, y, color, frameData, brushSize.size, brushSize.opacity, penType, style, seed)
+    pixel.id = `pixel_${this.nextPixelId++}`
+    return pixel
+  }
+
+  /**
+   * 添加一个像素，单独抖动的像素超出预算时烘焙较早的区域
+   * @param {WigglePixel} pixel - 抖动像素
+   */
+  addPixel(pixel) {
+    this.indexPixel(pixel)
+    this.livePixels.add(pixel)
+    this.activePixels.set(pixel.id, pixel)
+    this.totalPixelCount++
+    this.bakePixels()
+  }
+
+  /**
+   * 批量恢复像素（撤销/重做时使用，不计入累计数量）
+   * @param {Array<WigglePixel>} pixels - 像素列表
+   */
+  addPixels(pixels) {
+    pixels.forEach(pixel => {
+      this.indexPixel(pixel)
+      if (!pixel.tileKey) {
+        this.livePixels.add(pixel)
+      }
+      this.activePixels.set(pixel.id, pixel)
+    })
+    this.bakePixels()
+  }
+
+  /**
+   * 像素被移动、缩放或改色后更新空间索引，已烘焙的像素取消烘焙（选区变换、改色及其撤销时调用）
+   * @param {Array<WigglePixel>} pixels - 像素列表
+   */
+  updatePixels(pixels) {
+    pixels.forEach(pixel => {
+      if (!this.activePixels.has(pixel.id)) return
+
+      this.indexPixel(pixel)
+      if (pixel.tileKey) {
+        this.unbakePixel(pixel)
+        this.livePixels.add(pixel)
+      }
+    })
+  }
+
+  /**
+   * 把像素加入空间索引或更新其位置，并记录最大绘制范围
+   * @param {WigglePixel} pixel
+   */
+  indexPixel(pixel) {
+    this.spatialIndex.insert(pixel, pixel.x, pixel.y)
+    this.maxPixelExtent = Math.max(this.maxPixelExtent, getPixelExtent(pixel))
+  }
+
+  /**
+   * 批量移除像素
+   * @param {Array<WigglePixel>} pixels - 像素列表
+   * @returns {number} 实际移除的数量
+   */
+  removePixels(pixels) {
+    let removed = 0
+    pixels.forEach(pixel => {
+      if (this.activePixels.delete(pixel.id)) {
+        this.spatialIndex.remove(pixel)
+        if (pixel.tileKey) {
+          this.unbakePixel(pixel)
+        } else {
+          this.livePixels.delete(pixel)
+        }
+        removed++
+      }
+    })
+    return removed
+  }
+
+  /**
+   * 查找指定圆形区域内的像素
+   * @param {number} x - 圆心x坐标
+   * @param {number} y - 圆心y坐标
+   * @param {number} radius - 半径
+   * @param {Function} [filter] - 额外的筛选条件 (pixel) => boolean
+   * @returns {Array<WigglePixel>} 区域内的像素
+   */
+  findPixelsInArea(x, y, radius, filter) {
+    const radiusSq = radius * radius
+    const result = []
+    for (const pixel of this.spatialIndex.queryRadius(x, y, radius)) {
+      if (filter && !filter(pixel)) continue
+      const dx = pixel.x - x
+      const dy = pixel.y - y
+      if (dx * dx + dy * dy <= radiusSq) {
+        result.push(pixel)
+      }
+    }
+    return result
+  }
+
+  /**
+   * 查找锚点位于矩形内（含边界）的像素，按添加顺序返回
+   * @param {number} left
+   * @param {number} top
+   * @param {number} right
+   * @param {number} bottom
+   * @param {Function} [filter] - 额外的筛选条件 (pixel) => boolean
+   * @returns {Array<WigglePixel>}
+   */
+  findPixelsInRect(left, top, right, bottom, filter) {
+    const result = []
+    for (const pixel of this.spatialIndex.queryRect(left, top, right, bottom)) {
+      if (filter && !filter(pixel)) continue
+      if (pixel.x >= left && pixel.x <= right && pixel.y >= top && pixel.y <= bottom) {
+        result.push(pixel)
+      }
+    }
+    return result
+  }
+
+  /**
+   * 查找位于多边形内的像素（按像素锚点判断）
+   * @param {Array<{x: number, y: number}>} polygon - 多边形顶点
+   * @param {Function} [filter] - 额外的筛选条件 (pixel) => boolean
+   * @returns {Array<WigglePixel>}
+   */
+  findPixelsInPolygon(polygon, filter) {
+    if (polygon.length < 3) return []
+
+    const xs = polygon.map(point => point.x)
+    const ys = polygon.map(point => point.y)
+    const candidates = this.spatialIndex.queryRect(
+      Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)
+    )
+
+    const result = []
+    for (const pixel of candidates) {
+      if (filter && !filter(pixel)) continue
+      if (isPointInPolygon(pixel.x, pixel.y, polygon)) {
+        result.push(pixel)
+      }
+    }
+    return result
+  }
+
+  /**
+   * 查找当前帧覆盖指定点的最上层像素
+   * @param {number} x - 画布x坐标
+   * @param {number} y - 画布y坐标
+   * @param {Function} [filter] - 额外的筛选条件 (pixel) => boolean
+   * @param {number} [amplitude=1] - 全局抖动幅度，幅度大于 1 时像素偏离锚点更远，查找范围随之放大
+   * @returns {WigglePixel|null}
+   */
+  hitTest(x, y, filter, amplitude = 1) {
+    let hit = null
+    const extent = this.maxPixelExtent * Math.max(1, amplitude)
+    // 后添加的像素绘制在上层，遍历到最后的命中即为最上层
+    for (const pixel of this.spatialIndex.queryRect(x - extent, y - extent, x + extent, y + extent)) {
+      if (filter && !filter(pixel)) continue
+      if (pixel.containsPoint(x, y, amplitude)) {
+        hit = pixel
+      }
+    }
+    return hit
+  }
+
+  /**
+   * 申请添加像素的配额，用于喷枪等一次落笔添加多个像素的画笔
+   * 按 maxActivePixels * emissionRate 每秒补充，最多积攒四分之一秒的量，避免持续喷洒很快用完像素总量或一下子触发大量烘焙
+   * @param {number} count - 希望添加的数量
+   * @param {number} [now=Date.now()] - 当前时间（毫秒）
+   * @returns {number} 允许添加的数量
+   */
+  requestEmission(count, now = Date.now()) {
+    const rate = this.config.maxActivePixels * this.config.emissionRate
+    const capacity = Math.max(1, rate / 4)
+    const elapsed = Math.max(0, now - this.lastEmissionTime)
+
+    this.emissionTokens = Math.min(capacity, this.emissionTokens + elapsed * rate / 1000)
+    this.lastEmissionTime = now
+
+    const granted = Math.max(0, Math.min(count, Math.floor(this.emissionTokens)))
+    this.emissionTokens -= granted
+    return granted
+  }
+
+  /**
+   * 单独抖动的像素超过 maxActivePixels 时烘焙较早的区域：
+   * 每次从最早的若干个未烘焙像素所在的图块中挑可烘焙像素最多的一块，直到降到目标数量
+   *
+   * 图块画在同一图层的未烘焙像素下面，所以每个图层只能烘焙最早的一段未烘焙像素：
+   * 按添加顺序，同一图层中遇到不属于该图块的像素就停下，较新的像素不会被压到较早的像素下面
+   * @returns {number} 本次烘焙的像素数量
+   */
+  bakePixels() {
+    const { maxActivePixels } = this.config
+    if (this.livePixels.size <= maxActivePixels) return 0
+
+    const target = Math.floor(maxActivePixels * BAKE_TARGET_RATIO)
+    let baked = 0
+    while (this.livePixels.size > target) {
+      // 图层 -> 该图层最早一段像素所在的图块键，遇到其他图块后置为 null
+      const runs = new Map()
+      const counts = new Map()
+      let bestKey = null
+      let bestPixel = null
+      let checked = 0
+      for (const pixel of this.livePixels) {
+        if (checked++ >= BAKE_CANDIDATES) break
+        const key = getTileKey(pixel)
+        if (!runs.has(pixel.layerId)) {
+          runs.set(pixel.layerId, key)
+        } else if (runs.get(pixel.layerId) !== key) {
+          runs.set(pixel.layerId, null)
+        }
+        if (runs.get(pixel.layerId) !== key) continue
+
+        const count = (counts.get(key) || 0) + 1
+        counts.set(key, count)
+        if (!bestKey || count > counts.get(bestKey)) {
+          bestKey = key
+          bestPixel = pixel
+        }
+      }
+      const count = bestPixel ? this.bakeTile(bestPixel) : 0
+      if (count === 0) break
+      baked += count
+    }
+    return baked
+  }
+
+  /**
+   * 把与指定像素同图层、同混合模式且锚点在同一格内的未烘焙像素按添加顺序加入图块，
+   * 遇到同一图层中不属于该图块的未烘焙像素为止（见 bakePixels）
+   * @param {WigglePixel} sample - 所在图层最早的未烘焙像素之一
+   * @returns {number} 烘焙的像素数量
+   */
+  bakeTile(sample) {
+    const key = getTileKey(sample)
+
+    let tile = this.tiles.get(key)
+    if (!tile) {
+      const col = Math.floor(sample.x / TILE_SIZE)
+      const row = Math.floor(sample.y / TILE_SIZE)
+      tile = { key, layerId: sample.layerId, composite: sample.composite, col, row, pixels: new Set(), version: 0 }
+      this.tiles.set(key, tile)
+    }
+
+    let baked = 0
+    for (const pixel of this.livePixels) {
+      if (pixel.layerId !== sample.layerId) continue
+      if (getTileKey(pixel) !== key) break
+      pixel.tileKey = key
+      tile.pixels.add(pixel)
+      this.livePixels.delete(pixel)
+      baked++
+    }
+
+    tile.version++
+    this.tilesVersion++
+    this.bakedPixelCount += baked
+    return baked
+  }
+
+  /**
+   * 把像素移出所在的图块（不加入 livePixels）
+   * @param {WigglePixel} pixel
+   */
+  unbakePixel(pixel) {
+    const tile = this.tiles.get(pixel.tileKey)
+    pixel.tileKey = null
+    if (!tile || !tile.pixels.delete(pixel)) return
+
+    if (tile.pixels.size === 0) {
+      this.tiles.delete(tile.key)
+    }
+    tile.version++
+    this.tilesVersion++
+    this.bakedPixelCount--
+  }
+
+  /**
+   * 设置其他动画帧中的像素数量
+   * @param {number} count
+   */
+  setReservedPixelCount(count) {
+    this.reservedPixelCount = count
+  }
+
+  /**
+   * 所有活跃像素跳到动画时钟 tick 对应的帧（动画循环、导出GIF和重新渲染时使用）
+   * @param {number} tick - 动画时钟，见 WigglePixel.setFrame
+   */
+  setFrame(tick) {
+    for (const [, pixel] of this.activePixels) {
+      pixel.setFrame(tick)
+    }
+  }
+
+  /**
+   * 更新所有活跃像素到下一帧
+   */
+  updateActivePixels() {
+    for (const [, pixel] of this.activePixels) {
+      pixel.update()
+    }
+  }
+
+  /**
+   * 清空所有像素
+   * @returns {Array<WigglePixel>} 被清除的像素
+   */
+  clear() {
+    const removed = this.takeAllPixels()
+    this.totalPixelCount = 0
+    return removed
+  }
+
+  /**
+   * 取出所有像素，不改变累计数量（切换动画帧时使用）
+   * @returns {Array<WigglePixel>} 被取出的像素
+   */
+  takeAllPixels() {
+    const removed = Array.from(this.activePixels.values())
+    removed.forEach(pixel => {
+      pixel.tileKey = null
+    })
+    this.activePixels.clear()
+    this.spatialIndex.clear()
+    this.maxPixelExtent = 0
+    this.livePixels.clear()
+    this.tiles.clear()
+    this.tilesVersion++
+    this.bakedPixelCount = 0
+    return removed
+  }
+}
+
+/**
+ * 像素所属的图块键：图层、混合模式和锚点所在的格子
+ * @param {WigglePixel} pixel
+ * @returns {string}
+ */
+function getTileKey(pixel) {
+  return `${pixel.layerId}|${pixel.composite}|${Math.floor(pixel.x / TILE_SIZE)},${Math.floor(pixel.y / TILE_SIZE)}`
+}
+
+/**
+ * 像素在所有帧中绘制的范围（含抖动偏移和光晕）超出锚点的最大距离
+ * 全局抖动幅度大于 1 时实际范围还要按比例放大
+ * @param {WigglePixel} pixel
+ * @returns {number}
+ */
+function getPixelExtent(pixel) {
+  const bounds = pixel.getBounds()
+  return Math.max(
+    pixel.x - bounds.x,
+    pixel.y - bounds.y,
+    bounds.x + bounds.width - pixel.x,
+    bounds.y + bounds.height - pixel.y
+  )
+}
+
+module.exports = { PixelStore }
@@ -0,0 +1,1459 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+const { PixelStore } = require('./pixelStore')
+const { HistoryStore } = require('./historyStore')
+const { ViewportStore } = require('./viewportStore')
+const { PaletteStore } = require('./paletteStore')
+const { SelectionStore } = require('./selectionStore')
+const { LayerStore } = require('./layerStore')
+const { BrushStore } = require('./brushStore')
+const { ShapeStore } = require('./shapeStore')
+const { TimelineStore } = require('./timelineStore')
+const { optimizedAnimationController } = require('./OptimizedAnimationController')
+const { getSpacingForBrush } = require('../utils/stroke')
+const { createSeed, deriveSeed, SeededRandom } = require('../utils/random')
+const { WIGGLE_STYLES } = require('../utils/animation')
+const { normalizeHex } = require('../utils/color')
+const { SELECTION_TOOLS, getPixelsBounds } = require('../utils/selection')
+
+// 复制选区时副本的偏移量（像素）
+const DUPLICATE_OFFSET = 10
+
+// 浅色/深色画布的背景色
+const LIGHT_BACKGROUND = '#FFFFFF'
+const DARK_BACKGROUND = '#14141F'
+
+// 像素总数超过上限的这个比例时提示预算紧张
+const BUDGET_TIGHT_RATIO = 0.8
+
+// 洋葱皮中前一帧和后一帧的颜色
+const ONION_BEFORE_COLOR = '#FF3B30'
+const ONION_AFTER_COLOR = '#34C759'
+
+/**
+ * 根存储
+ * 组合各个子存储，对页面暴露统一的操作入口
+ */
+class RootStore {
+  constructor() {
+    this.pixelStore = new PixelStore()
+    this.historyStore = new HistoryStore()
+    this.viewportStore = new ViewportStore()
+    this.paletteStore = new PaletteStore()
+    this.selectionStore = new SelectionStore()
+    this.layerStore = new LayerStore()
+    this.brushStore = new BrushStore()
+    this.shapeStore = new ShapeStore()
+    this.timelineStore = new TimelineStore()
+    this.historyStore.frameId = this.timelineStore.currentFrameId
+    this.animationController = null
+
+    // 绘制配置
+    this.drawingConfig = {
+      // 自选颜色，对允许自选颜色的画笔生效；为 null 时使用画笔自带颜色
+      currentColor: null,
+      currentBrushSize: 'small',
+      brushSizes: {
+        small: { size: 2, opacity: 1 },
+        medium: { size: 3, opacity: 1 },
+        large: { size: 4, opacity: 1 }
+      },
+      // 笔画平滑：mode 为 none/curve/lazy，strength 为拉绳强度 (0-1)
+      stabilizer: {
+        mode: 'none',
+        strength: 0.5
+      },
+      // 笔锋：像素大小和透明度随压力（设备支持时）或速度变化
+      dynamicsEnabled: false,
+      // 顺笔：按笔画方向选择或旋转形状，让线条更像手绘
+      directional: false,
+      // 新笔画的抖动风格：calm/normal/jittery，见 utils/animation.js 中的 WIGGLE_STYLES
+      wiggleStyle: 'normal',
+      // 当前工具：freehand 自由绘制、图形工具 line/rect/ellipse/polygon、fill 油漆桶、eyedropper 吸管、
+      // 选区工具 lasso/marquee
+      currentTool: 'freehand',
+      // 吸管取色后返回的工具
+      previousTool: 'freehand',
+      polygonSides: 5,
+      // 油漆桶：density 为填充密度 (0-1)，pattern 为 solid/hatch/dither
+      fill: {
+        density: 0.5,
+        pattern: 'solid'
+      },
+      // 喷枪：density 为喷洒密度 (0-1)，falloff 为向边缘的衰减 (0-1)
+      spray: {
+        density: 0.5,
+        falloff: 0.5
+      },
+      // 对称绘制：mode 见 utils/symmetry.js，segments 为万花筒等分数，中心为 null 时使用画布中心
+      symmetry: {
+        mode: 'none',
+        segments: 6,
+        centerX: null,
+        centerY: null
+      }
+    }
+
+    // 画布配置
+    this.canvasConfig = {
+      isTransparent: false,
+      backgroundColor: LIGHT_BACKGROUND,
+      // 画布种子：每一笔的种子由它和笔画序号派生，见 utils/random.js
+      seed: createSeed()
+    }
+
+    // 全局抖动：amplitude 为幅度倍数 (0.5-2)，speed 为速度倍数 (0.25-3)，作用于全部像素和导出的GIF
+    this.wiggleConfig = {
+      amplitude: 1,
+      speed: 1
+    }
+
+    // 省电模式：开启后 idleSeconds 秒没有触摸画布就冻结抖动，再次触摸时继续
+    this.powerConfig = {
+      batterySaver: false,
+      idleSeconds: 10
+    }
+
+    // 诊断：是否在画布上显示性能浮层
+    this.debugConfig = {
+      showPerformanceHud: false
+    }
+
+    // 随机数：一笔之内使用笔画的随机数，其余操作使用画布的随机数
+    this.strokeCount = 0
+    this.strokeRandom = null
+    this.documentRandom = new SeededRandom(this.canvasConfig.seed)
+
+    makeObservable(this, {
+      drawingConfig: observable,
+      canvasConfig: observable,
+      wiggleConfig: observable,
+      powerConfig: observable,
+      debugConfig: observable,
+      canUndo: computed,
+      canRedo: computed,
+      isDarkCanvas: computed,
+      currentBrushColor: computed,
+      pixelBudget: computed,
+      addPixel: action,
+      erasePixelsInArea: action,
+      clearAllPixels: action,
+      resetCanvas: action,
+      setBrushSize: action,
+      setCurrentColor: action,
+      setBrushColor: action,
+      setStabilizerMode: action,
+      setStabilizerStrength: action,
+      setDynamicsEnabled: action,
+      setDirectionalEnabled: action,
+      setWiggleStyle: action,
+      setWiggleAmplitude: action,
+      setWiggleSpeed: action,
+      setBatterySaver: action,
+      setIdleSeconds: action,
+      setPerformanceHudVisible: action,
+      setTool: action,
+      restorePreviousTool: action,
+      selectPixelsInPolygon: action,
+      clearSelection: action,
+      endSelectionTransform: action,
+      cancelSelectionTransform: action,
+      flipSelection: action,
+      deleteSelection: action,
+      duplicateSelection: action,
+      recolorSelection: action,
+      addLayer: action,
+      deleteLayer: action,
+      renameLayer: action,
+      moveLayer: action,
+      setLayerVisible: action,
+      setLayerLocked: action,
+      setLayerOpacity: action,
+      setActiveLayer: action,
+      selectFrame: action,
+      addFrame: action,
+      duplicateFrame: action,
+      deleteFrame: action,
+      moveFrame: action,
+      setFrameDuration: action,
+      setOnionSkinEnabled: action,
+      setTimelinePlaying: action,
+      setPolygonSides: action,
+      setFillDensity: action,
+      setFillPattern: action,
+      setSprayDensity: action,
+      setSprayFalloff: action,
+      setSymmetryMode: action,
+      setSymmetrySegments: action,
+      setSymmetryCenter: action,
+      setTransparentBackground: action,
+      setDarkCanvas: action,
+      setDocumentSeed: action,
+      cancelStroke: action,
+      undo: action,
+      discardLastStep: action,
+      redo: action
+    })
+  }
+
+  get canUndo() {
+    return this.historyStore.canUndo
+  }
+
+  get canRedo() {
+    return this.historyStore.canRedo
+  }
+
+  /**
+   * 初始化动画控制器
+   */
+  initAnimationController(canvasWidth, canvasHeight, backgroundColor) {
+    if (this.animationController) {
+      this.animationController.destroy()
+    }
+    this.animationController = new optimizedAnimationController(
+      this.pixelStore,
+      canvasWidth,
+      canvasHeight,
+      backgroundColor
+    )
+    this.animationController.setViewport(this.viewportStore)
+    this.animationController.setLayers(this.layerStore)
+    this.animationController.setWiggleConfig(this.wiggleConfig)
+    this.updateOnionSkin()
+    this.applyPowerConfig()
+    this.animationController.hudVisible = this.debugConfig.showPerformanceHud
+    this.viewportStore.setBounds(canvasWidth, canvasHeight)
+    return this.animationController
+  }
+
+  /**
+   * 设置Canvas层
+   */
+  setupCanvasLayers(canvas, ctx) {
+    if (this.animationController) {
+      this.animationController.setupCanvasLayers(canvas, ctx)
+    }
+  }
+
+  /**
+   * 开始一笔（一笔之内的所有绘制/擦除合并为一个历史步骤）
+   * @param {string} label - 步骤名称（draw/erase）
+   */
+  beginStroke(label = 'draw') {
+    const seed = deriveSeed(this.canvasConfig.seed, this.strokeCount++)
+    this.strokeRandom = new SeededRandom(seed)
+    this.historyStore.beginEntry(label, seed)
+  }
+
+  /**
+   * 结束一笔
+   * @returns {boolean} 这一笔是否产生了历史步骤
+   */
+  endStroke() {
+    this.strokeRandom = null
+    return this.historyStore.endEntry()
+  }
+
+  /**
+   * 取消正在进行的一笔，撤回其已产生的全部操作（例如第二根手指落下转为缩放手势）
+   */
+  cancelStroke() {
+    this.strokeRandom = null
+    const entry = this.historyStore.takePendingEntry()
+    if (entry) {
+      this.revertEntry(entry)
+    }
+  }
+
+  /**
+   * 获取当前使用的随机数：一笔之内为这一笔的随机数，否则为画布的随机数
+   * 形状选择、抖动相位等都要从这里取，保证同样的种子和操作得到同样的画面
+   * @returns {SeededRandom}
+   */
+  getRandom() {
+    return this.strokeRandom || this.documentRandom
+  }
+
+  /**
+   * 设置画布种子并从头开始派生笔画种子（打开保存的画作、重放或测试渲染时使用）
+   * @param {number} seed - 32位无符号整数
+   */
+  setDocumentSeed(seed) {
+    this.canvasConfig.seed = seed >>> 0
+    this.strokeCount = 0
+    this.strokeRandom = null
+    this.documentRandom = new SeededRandom(this.canvasConfig.seed)
+  }
+
+  /**
+   * 在当前图层添加一个抖动像素
+   * 单独抖动的像素超出预算时烘焙较早的区域（见 PixelStore.bakePixels），达到像素总数上限时不再添加
+   * @param {Object} [style] - 绘制效果和抖动风格 { composite, glow, amplitude, speed }
+   * @returns {WigglePixel|null} 新像素，达到上限时返回 null
+   */
+  addPixel(x, y, color, frameData, brushSize, penType, style) {
+    const pixelStore = this.pixelStore
+    if (pixelStore.isFull) return null
+
+    const seed = this.getRandom().nextSeed()
+    const pixel = pixelStore.createPixel(x, y, color, frameData, brushSize, penType, style, seed)
+    pixel.layerId = this.layerStore.activeLayerId
+    pixelStore.addPixel(pixel)
+    this.historyStore.record({ type: 'add', pixels: [pixel] })
+    return pixel
+  }
+
+  /**
+   * 擦除当前图层指定圆形区域内的像素
+   * @returns {number} 擦除的像素数量
+   */
+  erasePixelsInArea(x, y, radius) {
+    if (!this.layerStore.isActiveEditable) return 0
+
+    const layerId = this.layerStore.activeLayerId
+    const pixels = this.pixelStore.findPixelsInArea(x, y, radius, pixel => pixel.layerId === layerId)
+    if (pixels.length === 0) return 0
+
+    this.pixelStore.removePixels(pixels)
+    this.historyStore.record({ type: 'remove', pixels })
+    this.selectionStore.prune(this.pixelStore.activePixels)
+    return pixels.length
+  }
+
+  /**
+   * 清空所有像素（可撤销）
+   */
+  clearAllPixels() {
+    this.selectionStore.clear()
+    const removed = this.pixelStore.clear()
+    if (removed.length > 0) {
+      this.historyStore.record({ type: 'remove', pixels: removed })
+    }
+    this.renderNow()
+  }
+
+  /**
+   * 重置画布（清空像素、历史和视口，用于页面初始化）
+   */
+  resetCanvas() {
+    this.selectionStore.clear()
+    this.pixelStore.clear()
+    this.layerStore.reset()
+    this.timelineStore.reset()
+    this.historyStore.clear()
+    this.historyStore.frameId = this.timelineStore.currentFrameId
+    this.viewportStore.reset()
+    this.setDocumentSeed(createSeed())
+    this.syncTimeline()
+  }
+
+  /**
+   * 撤销一步
+   * @returns {boolean} 是否执行了撤销
+   */
+  undo() {
+    const entry = this.historyStore.popUndo()
+    if (!entry) return false
+
+    this.revertEntry(entry)
+    return true
+  }
+
+  /**
+   * 撤回最近一步且不进入重做栈（用于撤回被识别为手势的误触）
+   * @returns {boolean} 是否撤回了步骤
+   */
+  discardLastStep() {
+    const entry = this.historyStore.popUndo({ discard: true })
+    if (!entry) return false
+
+    this.revertEntry(entry)
+    return true
+  }
+
+  /**
+   * 重做一步
+   * @returns {boolean} 是否执行了重做
+   */
+  redo() {
+    const entry = this.historyStore.popRedo()
+    if (!entry) return false
+
+    this.showEntryFrame(entry)
+    entry.ops.forEach(op => this.applyHistoryOp(op, false))
+    this.selectionStore.prune(this.pixelStore.activePixels)
+    this.syncTimeline()
+    return true
+  }
+
+  /**
+   * 按相反顺序撤销一个步骤中的所有操作
+   * @param {Object} entry - 步骤
+   */
+  revertEntry(entry) {
+    this.showEntryFrame(entry)
+    for (let i = entry.ops.length - 1; i >= 0; i--) {
+      this.applyHistoryOp(entry.ops[i], true)
+    }
+    this.selectionStore.prune(this.pixelStore.activePixels)
+    this.syncTimeline()
+  }
+
+  /**
+   * 撤销/重做前切换到步骤发生时的动画帧，像素操作才能作用在正确的帧上
+   * @param {Object} entry - 步骤
+   */
+  showEntryFrame(entry) {
+    if (entry.frameId && this.timelineStore.getFrame(entry.frameId)) {
+      this.showFrame(entry.frameId)
+    }
+  }
+
+  /**
+   * 执行单个历史操作的撤销或重做
+   * @param {Object} op - 操作记录
+   * @param {boolean} isUndo - true 撤销，false 重做
+   */
+  applyHistoryOp(op, isUndo) {
+    switch (op.type) {
+      case 'add':
+        if (isUndo) {
+          this.pixelStore.removePixels(op.pixels)
+        } else {
+          this.pixelStore.addPixels(op.pixels)
+        }
+        break
+      case 'remove':
+        if (isUndo) {
+          this.pixelStore.addPixels(op.pixels)
+        } else {
+          this.pixelStore.removePixels(op.pixels)
+        }
+        break
+      case 'background':
+        this.applyTransparentBackground(isUndo ? op.from : op.to)
+        break
+      case 'backgroundColor':
+        this.applyBackgroundColor(isUndo ? op.from : op.to)
+        break
+      case 'transform': {
+        const states = isUndo ? op.from : op.to
+        op.pixels.forEach((pixel, index) => {
+          pixel.x = states[index].x
+          pixel.y = states[index].y
+          pixel.size = states[index].size
+        })
+        this.pixelStore.updatePixels(op.pixels)
+        this.invalidatePixelCache()
+        break
+      }
+      case 'removeLayer':
+        if (isUndo) {
+          this.layerStore.insertLayer(op.layer, op.index)
+          this.pixelStore.addPixels(op.pixels)
+          this.timelineStore.restoreLayerPixels(op.framePixels)
+        } else {
+          this.layerStore.removeLayer(op.layer.id)
+          this.pixelStore.removePixels(op.pixels)
+          this.timelineStore.removeLayerPixels(op.layer.id)
+        }
+        break
+      case 'addFrame':
+      case 'removeFrame':
+        if (isUndo === (op.type === 'addFrame')) {
+          this.detachFrame(op.frame.id)
+        } else {
+          this.timelineStore.insertFrame(op.frame, op.index, op.pixels)
+          this.showFrame(op.frame.id)
+        }
+        break
+      case 'moveFrame':
+        this.timelineStore.moveFrame(op.frameId, isUndo ? -op.direction : op.direction)
+        break
+      case 'frameDuration':
+        this.timelineStore.setDuration(op.frameId, isUndo ? op.from : op.to)
+        break
+      case 'recolor': {
+        const colors = isUndo ? op.from : op.to
+        op.pixels.forEach((pixel, index) => {
+          pixel.color = colors[index]
+        })
+        this.pixelStore.updatePixels(op.pixels)
+        this.invalidatePixelCache()
+        break
+      }
+      default:
+        console.warn('未知的历史操作类型:', op.type)
+    }
+  }
+
+  /**
+   * 设置画笔大小
+   * @param {string} size - small/medium/large
+   */
+  setBrushSize(size) {
+    if (this.drawingConfig.brushSizes[size]) {
+      this.drawingConfig.currentBrushSize = size
+    }
+  }
+
+  /**
+   * 获取当前画笔
+   * @returns {Object} 画笔定义（见 utils/brushes.js）
+   */
+  getCurrentBrush() {
+    return this.brushStore.currentBrush
+  }
+
+  /**
+   * 获取画笔使用的形状和权重
+   * @param {Object} [brush] - 画笔，默认为当前画笔
+   * @returns {Array<{id: string, weight: number}>}
+   */
+  getBrushShapeSet(brush = this.getCurrentBrush()) {
+    return this.shapeStore.getBrushShapeSet(brush)
+  }
+
+  /**
+   * 获取当前画笔的像素尺寸和不透明度（画笔大小配置乘以画笔自身的倍数）
+   * @returns {Object} { size, opacity }
+   */
+  getCurrentBrushSize() {
+    const base = this.drawingConfig.brushSizes[this.drawingConfig.currentBrushSize]
+    const brush = this.getCurrentBrush()
+    return {
+      size: base.size * brush.sizeScale,
+      opacity: base.opacity * brush.opacity
+    }
+  }
+
+  /**
+   * 设置自选颜色，并记入最近使用
+   * @param {string|null} color - HEX颜色，传 null 恢复画笔自带颜色
+   */
+  setCurrentColor(color) {
+    if (color === null) {
+      this.drawingConfig.currentColor = null
+      return
+    }
+
+    const hex = normalizeHex(color)
+    if (!hex) return
+
+    this.drawingConfig.currentColor = hex
+    this.paletteStore.addRecentColor(hex)
+  }
+
+  /**
+   * 设置当前画笔的颜色：预设直接修改预设颜色，其余画笔设置自选颜色
+   * @param {string|null} color - HEX颜色，传 null 恢复画笔自带颜色
+   */
+  setBrushColor(color) {
+    const brush = this.getCurrentBrush()
+    if (!brush.isPreset) {
+      this.setCurrentColor(color)
+      return
+    }
+
+    const hex = normalizeHex(color)
+    if (!hex) return
+
+    this.brushStore.updatePreset(brush.id, { color: hex })
+    this.paletteStore.addRecentColor(hex)
+  }
+
+  /**
+   * 获取画笔实际使用的颜色
+   * @param {Object} [brush] - 画笔，默认为当前画笔
+   * @returns {string}
+   */
+  getBrushColor(brush = this.getCurrentBrush()) {
+    if (brush.allowCustomColor && this.drawingConfig.currentColor) {
+      return this.drawingConfig.currentColor
+    }
+    return brush.color
+  }
+
+  /**
+   * 当前画笔实际使用的颜色（预设颜色从预设数据读取，修改后界面随之更新）
+   */
+  get currentBrushColor() {
+    const settings = this.brushStore.currentSettings
+    return settings.isPreset ? settings.color : this.getBrushColor()
+  }
+
+  /**
+   * 设置笔画平滑模式
+   * @param {string} mode - none/curve/lazy
+   */
+  setStabilizerMode(mode) {
+    this.drawingConfig.stabilizer.mode = mode
+  }
+
+  /**
+   * 设置拉绳强度
+   * @param {number} strength - 0-1
+   */
+  setStabilizerStrength(strength) {
+    this.drawingConfig.stabilizer.strength = Math.min(1, Math.max(0, strength))
+  }
+
+  /**
+   * 开启/关闭笔锋
+   * @param {boolean} enabled
+   */
+  setDynamicsEnabled(enabled) {
+    this.drawingConfig.dynamicsEnabled = enabled
+  }
+
+  /**
+   * 开启/关闭顺笔
+   * @param {boolean} enabled
+   */
+  setDirectionalEnabled(enabled) {
+    this.drawingConfig.directional = enabled
+  }
+
+  /**
+   * 设置新笔画的抖动风格
+   * @param {string} style - calm/normal/jittery
+   */
+  setWiggleStyle(style) {
+    if (WIGGLE_STYLES[style]) {
+      this.drawingConfig.wiggleStyle = style
+    }
+  }
+
+  /**
+   * 获取新笔画的抖动幅度和速度
+   * @returns {{amplitude: number, speed: number}}
+   */
+  getWiggleStyle() {
+    return WIGGLE_STYLES[this.drawingConfig.wiggleStyle] || WIGGLE_STYLES.normal
+  }
+
+  /**
+   * 设置全局抖动幅度
+   * @param {number} amplitude - 0.5-2
+   */
+  setWiggleAmplitude(amplitude) {
+    this.wiggleConfig.amplitude = Math.min(2, Math.max(0.5, amplitude))
+    this.renderNow()
+  }
+
+  /**
+   * 设置全局抖动速度
+   * @param {number} speed - 0.25-3
+   */
+  setWiggleSpeed(speed) {
+    this.wiggleConfig.speed = Math.min(3, Math.max(0.25, speed))
+  }
+
+  /**
+   * 开启/关闭省电模式
+   * @param {boolean} enabled
+   */
+  setBatterySaver(enabled) {
+    this.powerConfig.batterySaver = enabled
+    this.applyPowerConfig()
+  }
+
+  /**
+   * 设置省电模式下多久没有操作后冻结抖动
+   * @param {number} seconds - 5-60
+   */
+  setIdleSeconds(seconds) {
+    this.powerConfig.idleSeconds = Math.min(60, Math.max(5, Math.round(seconds)))
+    this.applyPowerConfig()
+  }
+
+  /**
+   * 同步省电设置到动画控制器
+   */
+  applyPowerConfig() {
+    if (this.animationController) {
+      const { batterySaver, idleSeconds } = this.powerConfig
+      this.animationController.setIdleTimeout(batterySaver ? idleSeconds * 1000 : 0)
+    }
+  }
+
+  /**
+   * 显示或隐藏画布上的性能浮层
+   * @param {boolean} visible
+   */
+  setPerformanceHudVisible(visible) {
+    this.debugConfig.showPerformanceHud = visible
+    if (this.animationController) {
+      this.animationController.setHudVisible(visible)
+    }
+  }
+
+  /**
+   * 记录一次系统内存告警，写入性能报告
+   * @param {number} [level] - wx.onMemoryWarning 给出的告警级别
+   */
+  recordMemoryWarning(level) {
+    if (this.animationController) {
+      this.animationController.recordMemoryWarning(level)
+    }
+  }
+
+  /**
+   * 生成可附在问题反馈中的性能报告：设备信息、画布设置和动画控制器的性能统计
+   * @returns {Object|null} 动画控制器未初始化时返回 null
+   */
+  getPerformanceSnapshot() {
+    if (!this.animationController) return null
+
+    const controller = this.animationController
+    let device = null
+    try {
+      const info = wx.getSystemInfoSync()
+      device = {
+        brand: info.brand,
+        model: info.model,
+        system: info.system,
+        platform: info.platform,
+        version: info.version,
+        SDKVersion: info.SDKVersion,
+        pixelRatio: info.pixelRatio,
+        screenWidth: info.screenWidth,
+        screenHeight: info.screenHeight,
+        benchmarkLevel: info.benchmarkLevel
+      }
+    } catch (error) {
+      console.warn('获取设备信息失败:', error)
+    }
+
+    return {
+      createdAt: new Date().toISOString(),
+      device,
+      canvas: {
+        width: controller.canvasWidth,
+        height: controller.canvasHeight,
+        pixelRatio: controller.pixelRatio,
+        background: this.getCurrentBackgroundColor(),
+        layers: this.layerStore.layers.length,
+        frames: this.timelineStore.frames.length,
+        storedFramePixels: this.timelineStore.storedPixelCount
+      },
+      settings: {
+        wiggle: { ...this.wiggleConfig },
+        power: { ...this.powerConfig },
+        maxActivePixels: this.pixelStore.config.maxActivePixels,
+        maxTotalPixels: this.pixelStore.config.maxTotalPixels
+      },
+      performance: controller.getPerformanceReport()
+    }
+  }
+
+  /**
+   * 暂停抖动动画（页面隐藏、切到后台时调用）
+   * @param {string} reason - page/app
+   */
+  pauseAnimation(reason) {
+    if (this.animationController) {
+      this.animationController.pause(reason)
+    }
+  }
+
+  /**
+   * 解除暂停，从暂停时的画面继续抖动
+   * @param {string} reason - page/app
+   */
+  resumeAnimation(reason) {
+    if (this.animationController) {
+      this.animationController.resume(reason)
+    }
+  }
+
+  /**
+   * 记录一次画布操作（省电模式据此判断是否空闲）
+   */
+  notifyInput() {
+    if (this.animationController) {
+      this.animationController.notifyInput()
+    }
+  }
+
+  /**
+   * 切换工具
+   * @param {string} tool - freehand/line/rect/ellipse/polygon/fill/eyedropper
+   */
+  setTool(tool) {
+    const current = this.drawingConfig.currentTool
+    if (tool === 'eyedropper' && current !== 'eyedropper') {
+      this.drawingConfig.previousTool = current
+    }
+    // 切换到绘制工具时取消选区（吸管取色后可能还要给选区改色，保留）
+    if (SELECTION_TOOLS.indexOf(tool) < 0 && tool !== 'eyedropper') {
+      this.selectionStore.clear()
+    }
+    this.drawingConfig.currentTool = tool
+  }
+
+  /**
+   * 返回使用吸管之前的工具
+   */
+  restorePreviousTool() {
+    this.drawingConfig.currentTool = this.drawingConfig.previousTool
+  }
+
+  /**
+   * 吸取指定位置的颜色：从上往下取第一个可见图层中该处的抖动像素颜色
+   * @param {number} x - 画布x坐标
+   * @param {number} y - 画布y坐标
+   * @returns {string|null} 命中像素的颜色，未命中返回 null
+   */
+  pickPixelColor(x, y) {
+    const layers = this.layerStore.layers
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const layer = layers[i]
+      if (!layer.visible) continue
+
+      const pixel = this.pixelStore.hitTest(x, y, p => p.layerId === layer.id, this.wiggleConfig.amplitude)
+      if (pixel) return normalizeHex(pixel.color)
+    }
+    return null
+  }
+
+  /**
+   * 选中当前图层多边形范围内的像素
+   * @param {Array<{x: number, y: number}>} polygon - 选区多边形
+   * @returns {number} 选中的像素数量
+   */
+  selectPixelsInPolygon(polygon) {
+    const layerId = this.layerStore.activeLayerId
+    const pixels = this.layerStore.isActiveEditable
+      ? this.pixelStore.findPixelsInPolygon(polygon, pixel => pixel.layerId === layerId)
+      : []
+    this.selectionStore.select(pixels)
+    this.renderNow()
+    return pixels.length
+  }
+
+  /**
+   * 取消选区
+   */
+  clearSelection() {
+    this.selectionStore.clear()
+    this.renderNow()
+  }
+
+  /**
+   * 获取选区包围盒
+   * @returns {Object|null} { left, top, right, bottom }，没有选区时返回 null
+   */
+  getSelectionBounds() {
+    return getPixelsBounds(this.selectionStore.pixels)
+  }
+
+  /**
+   * 开始变换选区（以包围盒中心为变换中心）
+   * @returns {{x: number, y: number}|null} 变换中心，没有选区时返回 null
+   */
+  beginSelectionTransform() {
+    const bounds = this.getSelectionBounds()
+    if (!bounds) return null
+
+    const pivot = { x: (bounds.left + bounds.right) / 2, y: (bounds.top + bounds.bottom) / 2 }
+    this.selectionStore.beginTransform(pivot)
+    return pivot
+  }
+
+  /**
+   * 更新选区变换（相对变换开始时的状态）
+   * @param {Object} transform - { dx, dy, scale, rotation, flipX, flipY }
+   */
+  updateSelectionTransform(transform) {
+    this.selectionStore.applyTransform(transform)
+    this.pixelStore.updatePixels(this.selectionStore.pixels)
+    this.invalidatePixelCache()
+    this.renderNow()
+  }
+
+  /**
+   * 结束选区变换，有变化时记入历史
+   */
+  endSelectionTransform() {
+    const selection = this.selectionStore
+    const from = selection.endTransform()
+    if (!from) return
+
+    const to = selection.getStates()
+    const changed = to.some((state, index) =>
+      state.x !== from[index].x || state.y !== from[index].y || state.size !== from[index].size)
+    if (changed) {
+      this.historyStore.record({ type: 'transform', pixels: selection.pixels.slice(), from, to })
+    }
+  }
+
+  /**
+   * 取消选区变换，恢复到变换开始时的状态
+   */
+  cancelSelectionTransform() {
+    this.selectionStore.applyTransform({})
+    this.selectionStore.endTransform()
+    this.pixelStore.updatePixels(this.selectionStore.pixels)
+    this.invalidatePixelCache()
+    this.renderNow()
+  }
+
+  /**
+   * 翻转选区
+   * @param {string} axis - horizontal 水平翻转 / vertical 垂直翻转
+   */
+  flipSelection(axis) {
+    if (!this.beginSelectionTransform()) return
+
+    this.selectionStore.applyTransform({ flipX: axis === 'horizontal', flipY: axis === 'vertical' })
+    this.pixelStore.updatePixels(this.selectionStore.pixels)
+    this.endSelectionTransform()
+    this.invalidatePixelCache()
+    this.renderNow()
+  }
+
+  /**
+   * 删除选中的像素
+   */
+  deleteSelection() {
+    const pixels = this.selectionStore.pixels.slice()
+    if (pixels.length === 0) return
+
+    this.pixelStore.removePixels(pixels)
+    this.historyStore.record({ type: 'remove', pixels })
+    this.selectionStore.clear()
+    this.renderNow()
+  }
+
+  /**
+   * 复制选中的像素，副本错开一点放置并成为新的选区
+   * @returns {boolean} 是否复制成功（超出像素上限时不复制）
+   */
+  duplicateSelection() {
+    const pixels = this.selectionStore.pixels
+    if (pixels.length === 0 || pixels.length > this.getRemainingPixelBudget()) return false
+
+    const copies = pixels.map(pixel => {
+      const copy = this.copyPixel(pixel, DUPLICATE_OFFSET)
+      this.pixelStore.addPixel(copy)
+      return copy
+    })
+
+    this.historyStore.record({ type: 'add', pixels: copies })
+    this.selectionStore.select(copies)
+    this.renderNow()
+    return true
+  }
+
+  /**
+   * 复制一个像素（不加入存储），副本的颜色、形状、效果、图层和种子与原像素相同
+   * @param {WigglePixel} pixel
+   * @param {number} [offset=0] - 副本向右下错开的距离
+   * @returns {WigglePixel}
+   */
+  copyPixel(pixel, offset = 0) {
+    const copy = this.pixelStore.createPixel(
+      pixel.x + offset,
+      pixel.y + offset,
+      pixel.color,
+      pixel.frameData,
+      { size: pixel.size, opacity: pixel.opacity },
+      pixel.penType,
+      { composite: pixel.composite, glow: pixel.glow, amplitude: pixel.amplitude, speed: pixel.speed },
+      pixel.seed
+    )
+    // 保持和原像素一致的抖动节奏
+    copy.currentFrame = pixel.currentFrame
+    copy.layerId = pixel.layerId
+    return copy
+  }
+
+  /**
+   * 选中的像素改为指定颜色
+   * @param {string} color - HEX颜色
+   */
+  recolorSelection(color) {
+    const pixels = this.selectionStore.pixels.slice()
+    if (pixels.length === 0 || !color) return
+
+    const from = pixels.map(pixel => pixel.color)
+    pixels.forEach(pixel => {
+      pixel.color = color
+    })
+    this.pixelStore.updatePixels(pixels)
+    this.historyStore.record({ type: 'recolor', pixels, from, to: pixels.map(() => color) })
+    this.invalidatePixelCache()
+    this.renderNow()
+  }
+
+  /**
+   * 新建图层
+   * @returns {boolean} 是否新建成功（超出图层数量上限时不新建）
+   */
+  addLayer() {
+    const layerId = this.layerStore.addLayer()
+    if (!layerId) return false
+
+    this.selectionStore.clear()
+    this.renderNow()
+    return true
+  }
+
+  /**
+   * 删除图层及其全部像素（可撤销）
+   * @param {string} layerId
+   * @returns {boolean} 是否删除（只剩一个图层时不删除）
+   */
+  deleteLayer(layerId) {
+    const removed = this.layerStore.removeLayer(layerId)
+    if (!removed) return false
+
+    const pixels = []
+    for (const [, pixel] of this.pixelStore.activePixels) {
+      if (pixel.layerId === layerId) {
+        pixels.push(pixel)
+      }
+    }
+    this.pixelStore.removePixels(pixels)
+    const framePixels = this.timelineStore.removeLayerPixels(layerId)
+    this.historyStore.record({ type: 'removeLayer', layer: removed.layer, index: removed.index, pixels, framePixels })
+    this.selectionStore.prune(this.pixelStore.activePixels)
+    this.syncTimeline()
+    return true
+  }
+
+  renameLayer(layerId, name) {
+    this.layerStore.renameLayer(layerId, name)
+  }
+
+  /**
+   * 上移或下移图层
+   * @param {string} layerId
+   * @param {number} direction - 1 上移，-1 下移
+   */
+  moveLayer(layerId, direction) {
+    if (this.layerStore.moveLayer(layerId, direction)) {
+      this.renderNow()
+    }
+  }
+
+  setLayerVisible(layerId, visible) {
+    this.layerStore.setVisible(layerId, visible)
+    if (!visible && layerId === this.layerStore.activeLayerId) {
+      this.selectionStore.clear()
+    }
+    this.renderNow()
+  }
+
+  setLayerLocked(layerId, locked) {
+    this.layerStore.setLocked(layerId, locked)
+    if (locked && layerId === this.layerStore.activeLayerId) {
+      this.selectionStore.clear()
+    }
+  }
+
+  /**
+   * 设置图层不透明度
+   * @param {string} layerId
+   * @param {number} opacity - 0-1
+   */
+  setLayerOpacity(layerId, opacity) {
+    this.layerStore.setOpacity(layerId, opacity)
+    this.renderNow()
+  }
+
+  /**
+   * 切换当前图层（选区只作用于当前图层，切换时取消）
+   * @param {string} layerId
+   */
+  setActiveLayer(layerId) {
+    if (layerId === this.layerStore.activeLayerId) return
+
+    this.layerStore.setActiveLayer(layerId)
+    this.selectionStore.clear()
+    this.renderNow()
+  }
+
+  /**
+   * 切换到指定动画帧（不记入历史）：当前帧的像素存回时间轴，目标帧的像素载入像素存储
+   * @param {string} frameId
+   */
+  showFrame(frameId) {
+    const timeline = this.timelineStore
+    if (frameId === timeline.currentFrameId || !timeline.getFrame(frameId)) return
+
+    this.selectionStore.clear()
+    timeline.storePixels(timeline.currentFrameId, this.pixelStore.takeAllPixels())
+    timeline.setCurrentFrame(frameId)
+    this.pixelStore.addPixels(timeline.takePixels(frameId))
+    this.historyStore.frameId = frameId
+  }
+
+  /**
+   * 从时间轴移除一帧，是当前帧时先切换到前一帧（没有前一帧时切换到后一帧）
+   * @param {string} frameId
+   * @returns {{frame: Object, index: number, pixels: Array<WigglePixel>}|null} 被删除的帧、位置和像素
+   */
+  detachFrame(frameId) {
+    const timeline = this.timelineStore
+    const index = timeline.indexOf(frameId)
+    if (index < 0 || timeline.frames.length <= 1) return null
+
+    if (frameId === timeline.currentFrameId) {
+      this.showFrame(timeline.frames[index > 0 ? index - 1 : index + 1].id)
+    }
+    return timeline.removeFrame(frameId)
+  }
+
+  /**
+   * 时间轴变化后同步像素总数、洋葱皮并重绘
+   */
+  syncTimeline() {
+    this.pixelStore.setReservedPixelCount(this.timelineStore.storedPixelCount)
+    this.updateOnionSkin()
+    this.renderNow()
+  }
+
+  /**
+   * 把当前帧前后相邻的帧设为洋葱皮（关闭洋葱皮或播放预览时清除）
+   */
+  updateOnionSkin() {
+    if (!this.animationController) return
+
+    const timeline = this.timelineStore
+    const skins = []
+    if (timeline.onionSkinEnabled && !timeline.playing) {
+      const index = timeline.currentIndex
+      const before = timeline.frames[index - 1]
+      const after = timeline.frames[index + 1]
+      if (before) {
+        skins.push({ pixels: timeline.peekPixels(before.id), color: ONION_BEFORE_COLOR })
+      }
+      if (after) {
+        skins.push({ pixels: timeline.peekPixels(after.id), color: ONION_AFTER_COLOR })
+      }
+    }
+    this.animationController.setOnionSkin(skins)
+  }
+
+  /**
+   * 切换到指定动画帧
+   * @param {string} frameId
+   */
+  selectFrame(frameId) {
+    if (frameId === this.timelineStore.currentFrameId) return
+
+    this.showFrame(frameId)
+    this.syncTimeline()
+  }
+
+  /**
+   * 在当前帧之后新建一个空白帧并切换过去（可撤销）
+   * @returns {boolean} 是否新建成功（超出帧数上限时不新建）
+   */
+  addFrame() {
+    const timeline = this.timelineStore
+    const frame = timeline.createFrame()
+    const index = timeline.currentIndex + 1
+    if (!timeline.insertFrame(frame, index)) return false
+
+    this.showFrame(frame.id)
+    this.historyStore.record({ type: 'addFrame', frame, index, pixels: [] })
+    this.syncTimeline()
+    return true
+  }
+
+  /**
+   * 复制当前帧（像素和显示时长）到它之后并切换过去（可撤销）
+   * @returns {boolean} 是否复制成功（超出帧数或像素上限时不复制）
+   */
+  duplicateFrame() {
+    const timeline = this.timelineStore
+    const pixels = Array.from(this.pixelStore.activePixels.values())
+    if (timeline.frames.length >= timeline.config.maxFrames || pixels.length > this.getRemainingPixelBudget()) {
+      return false
+    }
+
+    const copies = pixels.map(pixel => this.copyPixel(pixel))
+    const frame = timeline.createFrame(timeline.getFrame(timeline.currentFrameId).duration)
+    const index = timeline.currentIndex + 1
+    timeline.insertFrame(frame, index, copies)
+
+    this.showFrame(frame.id)
+    this.historyStore.record({ type: 'addFrame', frame, index, pixels: copies })
+    this.syncTimeline()
+    return true
+  }
+
+  /**
+   * 删除动画帧及其像素（可撤销）
+   * @param {string} frameId
+   * @returns {boolean} 是否删除（只剩一帧时不删除）
+   */
+  deleteFrame(frameId) {
+    const removed = this.detachFrame(frameId)
+    if (!removed) return false
+
+    this.historyStore.record({ type: 'removeFrame', frame: removed.frame, index: removed.index, pixels: removed.pixels })
+    this.syncTimeline()
+    return true
+  }
+
+  /**
+   * 前移或后移动画帧（可撤销）
+   * @param {string} frameId
+   * @param {number} direction - 1 后移，-1 前移
+   */
+  moveFrame(frameId, direction) {
+    if (this.timelineStore.moveFrame(frameId, direction)) {
+      this.historyStore.record({ type: 'moveFrame', frameId, direction })
+      this.syncTimeline()
+    }
+  }
+
+  /**
+   * 设置动画帧的显示时长（可撤销）
+   * @param {string} frameId
+   * @param {number} duration - 毫秒
+   */
+  setFrameDuration(frameId, duration) {
+    const frame = this.timelineStore.getFrame(frameId)
+    if (!frame) return
+
+    const from = frame.duration
+    this.timelineStore.setDuration(frameId, duration)
+    if (frame.duration !== from) {
+      this.historyStore.record({ type: 'frameDuration', frameId, from, to: frame.duration })
+    }
+  }
+
+  setOnionSkinEnabled(enabled) {
+    this.timelineStore.setOnionSkinEnabled(enabled)
+    this.updateOnionSkin()
+    this.renderNow()
+  }
+
+  /**
+   * 开始或停止播放预览（播放时不显示洋葱皮，切换帧由页面按各帧时长驱动）
+   * @param {boolean} playing
+   */
+  setTimelinePlaying(playing) {
+    this.timelineStore.setPlaying(playing)
+    this.updateOnionSkin()
+    this.renderNow()
+  }
+
+  /**
+   * 设置正多边形边数
+   * @param {number} sides - 3-12
+   */
+  setPolygonSides(sides) {
+    this.drawingConfig.polygonSides = Math.min(12, Math.max(3, Math.round(sides)))
+  }
+
+  /**
+   * 设置填充密度
+   * @param {number} density - 0-1
+   */
+  setFillDensity(density) {
+    this.drawingConfig.fill.density = Math.min(1, Math.max(0, density))
+  }
+
+  /**
+   * 设置填充图案
+   * @param {string} pattern - solid/hatch/dither
+   */
+  setFillPattern(pattern) {
+    this.drawingConfig.fill.pattern = pattern
+  }
+
+  /**
+   * 设置喷枪密度
+   * @param {number} density - 0-1
+   */
+  setSprayDensity(density) {
+    this.drawingConfig.spray.density = Math.min(1, Math.max(0, density))
+  }
+
+  /**
+   * 设置喷枪衰减
+   * @param {number} falloff - 0-1
+   */
+  setSprayFalloff(falloff) {
+    this.drawingConfig.spray.falloff = Math.min(1, Math.max(0, falloff))
+  }
+
+  /**
+   * 设置对称模式
+   * @param {string} mode - none/horizontal/vertical/both/radial
+   */
+  setSymmetryMode(mode) {
+    this.drawingConfig.symmetry.mode = mode
+  }
+
+  /**
+   * 设置万花筒等分数
+   * @param {number} segments - 2-12
+   */
+  setSymmetrySegments(segments) {
+    this.drawingConfig.symmetry.segments = Math.min(12, Math.max(2, Math.round(segments)))
+  }
+
+  /**
+   * 设置对称中心，传 null 恢复为画布中心
+   * @param {number|null} x - 画布x坐标
+   * @param {number|null} y - 画布y坐标
+   */
+  setSymmetryCenter(x, y) {
+    this.drawingConfig.symmetry.centerX = x
+    this.drawingConfig.symmetry.centerY = y
+  }
+
+  /**
+   * 获取填充的落笔间距：密度越高间距越小
+   * @returns {number} 间距（像素）
+   */
+  getFillSpacing() {
+    const density = this.drawingConfig.fill.density
+    return this.getCurrentBrushSize().size * (6 - 4 * density)
+  }
+
+  /**
+   * 像素预算使用情况，供界面提示
+   * total 含其他动画帧中的像素；level: ok 充足 / tight 接近上限（超过 80%）/ full 已满，不能再画
+   * @returns {{total: number, live: number, baked: number, percent: number, level: string}}
+   */
+  get pixelBudget() {
+    const pixelStore = this.pixelStore
+    const total = pixelStore.activePixels.size + pixelStore.reservedPixelCount
+    const usage = total / pixelStore.config.maxTotalPixels
+    return {
+      total,
+      live: pixelStore.livePixelCount,
+      baked: pixelStore.bakedPixelCount,
+      percent: Math.min(100, Math.round(usage * 100)),
+      level: usage >= 1 ? 'full' : usage >= BUDGET_TIGHT_RATIO ? 'tight' : 'ok'
+    }
+  }
+
+  /**
+   * 获取还能添加的像素数量
+   * @returns {number}
+   */
+  getRemainingPixelBudget() {
+    const pixelStore = this.pixelStore
+    return Math.max(0, pixelStore.config.maxTotalPixels - pixelStore.activePixels.size - pixelStore.reservedPixelCount)
+  }
+
+  /**
+   * 获取当前画笔的落笔间距
+   * @returns {number} 间距（像素）
+   */
+  getCurrentSpacing() {
+    return getSpacingForBrush(this.getCurrentBrushSize().size, this.getCurrentBrush().spacingRatio)
+  }
+
+  /**
+   * 设置透明背景（可撤销）
+   * @param {boolean} isTransparent
+   */
+  setTransparentBackground(isTransparent) {
+    const from = this.canvasConfig.isTransparent
+    if (from === isTransparent) return
+
+    this.applyTransparentBackground(isTransparent)
+    this.historyStore.record({ type: 'background', from, to: isTransparent })
+  }
+
+  /**
+   * 应用透明背景设置并同步到动画控制器
+   */
+  applyTransparentBackground(isTransparent) {
+    this.canvasConfig.isTransparent = isTransparent
+    if (this.animationController) {
+      this.animationController.backgroundColor = this.getCurrentBackgroundColor()
+    }
+  }
+
+  /**
+   * 切换深色画布（可撤销），霓虹笔等变亮类画笔在深色画布上才有发光效果
+   * @param {boolean} isDark
+   */
+  setDarkCanvas(isDark) {
+    const from = this.canvasConfig.backgroundColor
+    const to = isDark ? DARK_BACKGROUND : LIGHT_BACKGROUND
+    if (from === to) return
+
+    this.applyBackgroundColor(to)
+    this.historyStore.record({ type: 'backgroundColor', from, to })
+  }
+
+  /**
+   * 应用背景色并同步到动画控制器
+   */
+  applyBackgroundColor(color) {
+    this.canvasConfig.backgroundColor = color
+    if (this.animationController) {
+      this.animationController.backgroundColor = this.getCurrentBackgroundColor()
+    }
+  }
+
+  /**
+   * 是否为深色画布
+   */
+  get isDarkCanvas() {
+    return this.canvasConfig.backgroundColor === DARK_BACKGROUND
+  }
+
+  getTransparentBackground() {
+    return this.canvasConfig.isTransparent
+  }
+
+  /**
+   * 获取当前背景色（透明背景返回 'transparent'）
+   */
+  getCurrentBackgroundColor() {
+    return this.canvasConfig.isTransparent ? 'transparent' : this.canvasConfig.backgroundColor
+  }
+
+  /**
+   * 恢复视口到原始大小
+   */
+  resetViewport() {
+    this.viewportStore.reset()
+    this.renderNow()
+  }
+
+  /**
+   * 立即重绘一次（撤销、清空等操作后不等待下一帧）
+   */
+  renderNow() {
+    if (this.animationController) {
+      this.animationController.renderAllPixels()
+    }
+  }
+
+  /**
+   * 像素被移动或改色后使抖动帧缓存失效（添加和移除像素由控制器自动处理）
+   */
+  invalidatePixelCache() {
+    if (this.animationController) {
+      this.animationController.invalidateCache()
+    }
+  }
+
+  /**
+   * 销毁动画控制器
+   */
+  destroy() {
+    if (this.animationController) {
+      this.animationController.destroy()
+      this.animationController = null
+    }
+  }
+}
+
+const rootStore = new RootStore()
+
+module.exports = { rootStore }
@@ -0,0 +1,109 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+const { transformPoint } = require('../utils/selection')
+
+/**
+ * 选区存储
+ * 记录被选中的像素；变换时直接修改像素坐标，像素留在 pixelStore 中继续抖动
+ */
+class SelectionStore {
+  constructor() {
+    // 选中的像素（浅层观察）
+    this.pixels = []
+
+    // 变换开始时的像素状态快照 [{ x, y, size }] 和变换中心
+    this.snapshot = null
+    this.pivot = null
+
+    makeObservable(this, {
+      pixels: observable.shallow,
+      hasSelection: computed,
+      count: computed,
+      select: action,
+      clear: action,
+      prune: action
+    })
+  }
+
+  get hasSelection() {
+    return this.pixels.length > 0
+  }
+
+  get count() {
+    return this.pixels.length
+  }
+
+  /**
+   * 设置选中的像素
+   * @param {Array<WigglePixel>} pixels
+   */
+  select(pixels) {
+    this.pixels.replace(pixels)
+    this.snapshot = null
+    this.pivot = null
+  }
+
+  /**
+   * 取消选区
+   */
+  clear() {
+    this.select([])
+  }
+
+  /**
+   * 移除已不在画布上的像素（被擦除、撤销等）
+   * @param {Map} activePixels - pixelStore.activePixels
+   */
+  prune(activePixels) {
+    const alive = this.pixels.filter(pixel => activePixels.has(pixel.id))
+    if (alive.length !== this.pixels.length) {
+      this.select(alive)
+    }
+  }
+
+  /**
+   * 获取像素当前的位置和大小
+   * @returns {Array<{x: number, y: number, size: number}>}
+   */
+  getStates() {
+    return this.pixels.map(pixel => ({ x: pixel.x, y: pixel.y, size: pixel.size }))
+  }
+
+  /**
+   * 开始一次变换，记录快照
+   * @param {{x: number, y: number}} pivot - 变换中心
+   */
+  beginTransform(pivot) {
+    this.snapshot = this.getStates()
+    this.pivot = pivot
+  }
+
+  /**
+   * 以快照为基准应用变换（拖动过程中可反复调用）
+   * @param {Object} transform - { dx, dy, scale, rotation, flipX, flipY }
+   */
+  applyTransform(transform) {
+    if (!this.snapshot) return
+
+    const scale = transform.scale || 1
+    this.pixels.forEach((pixel, index) => {
+      const base = this.snapshot[index]
+      const point = transformPoint(base, this.pivot, transform)
+      pixel.x = point.x
+      pixel.y = point.y
+      pixel.size = Math.max(1, base.size * scale)
+    })
+  }
+
+  /**
+   * 结束变换
+   * @returns {Array<{x: number, y: number, size: number}>|null} 变换前的快照
+   */
+  endTransform() {
+    const snapshot = this.snapshot
+    this.snapshot = null
+    this.pivot = null
+    return snapshot
+  }
+}
+
+module.exports = { SelectionStore }
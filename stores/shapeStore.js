@@ -0,0 +1,234 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+const {
+  SHAPES,
+  BUILTIN_SHAPE_NAMES,
+  normalizeShapeFrames,
+  registerShape,
+  unregisterShape
+} = require('../utils/shapes')
+
+const SHAPES_KEY = 'doudou_shapes'
+const BRUSH_SHAPES_KEY = 'doudou_brush_shapes'
+
+/**
+ * 形状库存储
+ * 管理用户设计的抖动形状和每支画笔使用的形状及权重，持久化到本地缓存
+ */
+class ShapeStore {
+  constructor() {
+    // 用户形状 { id, name, frames }，帧数据注册在 utils/shapes.js
+    this.shapes = []
+
+    // 画笔使用的形状 { [brushId]: [{ id, weight }] }，没有设置的画笔使用自身声明的形状
+    this.brushShapes = {}
+
+    this.config = {
+      maxShapes: 24,
+      maxWeight: 10
+    }
+
+    // 形状ID计数器
+    this.nextShapeId = 1
+
+    makeObservable(this, {
+      shapes: observable,
+      brushShapes: observable,
+      library: computed,
+      load: action,
+      createShape: action,
+      updateShape: action,
+      deleteShape: action,
+      setBrushShapeWeight: action,
+      resetBrushShapes: action
+    })
+
+    this.load()
+  }
+
+  /**
+   * 形状库列表：内置形状在前，用户形状在后
+   */
+  get library() {
+    const builtins = Object.keys(SHAPES).map(id => ({
+      id,
+      name: BUILTIN_SHAPE_NAMES[id],
+      builtin: true
+    }))
+    return builtins.concat(this.shapes.map(shape => ({
+      id: shape.id,
+      name: shape.name,
+      builtin: false
+    })))
+  }
+
+  /**
+   * 从本地缓存读取形状并注册
+   */
+  load() {
+    let shapes = []
+    let brushShapes = {}
+    try {
+      shapes = wx.getStorageSync(SHAPES_KEY) || []
+      brushShapes = wx.getStorageSync(BRUSH_SHAPES_KEY) || {}
+    } catch (error) {
+      console.error('读取形状库失败:', error)
+    }
+
+    this.shapes = shapes.filter(shape => registerShape(shape.id, shape.frames))
+    this.brushShapes = brushShapes
+
+    this.nextShapeId = this.shapes.reduce((max, shape) => {
+      const num = parseInt(String(shape.id).replace('shape_', ''), 10)
+      return isNaN(num) ? max : Math.max(max, num + 1)
+    }, 1)
+  }
+
+  /**
+   * 写入本地缓存
+   */
+  save() {
+    try {
+      wx.setStorageSync(SHAPES_KEY, this.shapes.map(shape => ({
+        id: shape.id,
+        name: shape.name,
+        frames: shape.frames.map(frame => frame.map(([dx, dy]) => [dx, dy]))
+      })))
+      const brushShapes = {}
+      Object.keys(this.brushShapes).forEach(brushId => {
+        brushShapes[brushId] = this.brushShapes[brushId].map(entry => ({ id: entry.id, weight: entry.weight }))
+      })
+      wx.setStorageSync(BRUSH_SHAPES_KEY, brushShapes)
+    } catch (error) {
+      console.error('保存形状库失败:', error)
+    }
+  }
+
+  /**
+   * 获取形状
+   * @param {string} shapeId
+   * @returns {Object|null} 用户形状 { id, name, frames }，内置形状返回 null
+   */
+  getShape(shapeId) {
+    return this.shapes.find(shape => shape.id === shapeId) || null
+  }
+
+  /**
+   * 新建形状
+   * @param {string} name - 形状名称
+   * @param {Array} frames - 帧数据
+   * @returns {string|null} 形状ID，超出数量上限或没有任何点时返回 null
+   */
+  createShape(name, frames) {
+    if (this.shapes.length >= this.config.maxShapes) return null
+
+    const normalized = normalizeShapeFrames(frames)
+    if (!normalized) return null
+
+    const id = `shape_${this.nextShapeId++}`
+    registerShape(id, normalized)
+    this.shapes.push({ id, name: name || `形状${this.shapes.length + 1}`, frames: normalized })
+    this.save()
+    return id
+  }
+
+  /**
+   * 修改形状
+   * @param {string} shapeId
+   * @param {Object} changes - { name, frames }
+   * @returns {boolean} 是否修改，帧数据没有任何点时不修改
+   */
+  updateShape(shapeId, changes) {
+    const shape = this.getShape(shapeId)
+    if (!shape) return false
+
+    if (changes.frames) {
+      const normalized = normalizeShapeFrames(changes.frames)
+      if (!normalized) return false
+      registerShape(shapeId, normalized)
+      shape.frames = normalized
+    }
+    if (changes.name) {
+      shape.name = changes.name
+    }
+    this.save()
+    return true
+  }
+
+  /**
+   * 删除形状，同时从各画笔的形状中移除（已画出的像素保留原来的形状）
+   * @param {string} shapeId
+   */
+  deleteShape(shapeId) {
+    if (!this.getShape(shapeId)) return
+
+    unregisterShape(shapeId)
+    this.shapes = this.shapes.filter(shape => shape.id !== shapeId)
+
+    const brushShapes = {}
+    Object.keys(this.brushShapes).forEach(brushId => {
+      const entries = this.brushShapes[brushId].filter(entry => entry.id !== shapeId)
+      if (entries.length > 0) {
+        brushShapes[brushId] = entries
+      }
+    })
+    this.brushShapes = brushShapes
+    this.save()
+  }
+
+  /**
+   * 获取画笔使用的形状和权重
+   * @param {Object} brush - 画笔（见 utils/brushes.js）
+   * @returns {Array<{id: string, weight: number}>}
+   */
+  getBrushShapeSet(brush) {
+    const entries = this.brushShapes[brush.id]
+    if (entries && entries.length > 0) {
+      return entries.map(entry => ({ id: entry.id, weight: entry.weight }))
+    }
+    return brush.shapes.map(id => ({ id, weight: 1 }))
+  }
+
+  /**
+   * 设置画笔使用某个形状的权重，权重为 0 表示不使用
+   * 第一次设置时以画笔自身声明的形状为基础
+   * @param {Object} brush - 画笔
+   * @param {string} shapeId
+   * @param {number} weight - 0 到 maxWeight
+   */
+  setBrushShapeWeight(brush, shapeId, weight) {
+    const value = Math.min(this.config.maxWeight, Math.max(0, Math.round(weight)))
+    const entries = this.getBrushShapeSet(brush)
+    const existing = entries.find(entry => entry.id === shapeId)
+    if (existing) {
+      existing.weight = value
+    } else {
+      entries.push({ id: shapeId, weight: value })
+    }
+    const remaining = entries.filter(entry => entry.weight > 0)
+
+    // 全部设为 0 时恢复画笔自身声明的形状
+    const brushShapes = Object.assign({}, this.brushShapes)
+    if (remaining.length > 0) {
+      brushShapes[brush.id] = remaining
+    } else {
+      delete brushShapes[brush.id]
+    }
+    this.brushShapes = brushShapes
+    this.save()
+  }
+
+  /**
+   * 恢复画笔自身声明的形状
+   * @param {string} brushId
+   */
+  resetBrushShapes(brushId) {
+    if (!this.brushShapes[brushId]) return
+
+    const brushShapes = Object.assign({}, this.brushShapes)
+    delete brushShapes[brushId]
+    this.brushShapes = brushShapes
+    this.save()
+  }
+}
+
+module.exports = { ShapeStore }
@@ -0,0 +1,245 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+
+/**
+ * 时间轴存储
+ * 按播放顺序管理动画帧，每一帧有自己的像素和显示时长
+ *
+ * 当前帧的像素放在 PixelStore 中照常绘制、擦除和抖动，其他帧的像素保存在 framePixels 中，
+ * 切换帧时由 rootStore 负责交换
+ */
+class TimelineStore {
+  constructor() {
+    // 帧列表：{ id, duration, pixelCount }，duration 为显示时长（毫秒），
+    // pixelCount 为保存在 framePixels 中的像素数量（当前帧的像素在 PixelStore 中，不计入）
+    this.frames = []
+    this.currentFrameId = null
+
+    // 非当前帧的像素：帧ID -> 像素数组（按添加顺序），不做响应式处理
+    this.framePixels = new Map()
+
+    // 帧ID计数器
+    this.nextFrameId = 1
+
+    // 洋葱皮：半透明显示前后相邻的帧（播放预览时不显示）
+    this.onionSkinEnabled = true
+    this.playing = false
+
+    this.config = {
+      maxFrames: 24,
+      defaultDuration: 200,
+      minDuration: 50,
+      maxDuration: 2000
+    }
+
+    makeObservable(this, {
+      frames: observable,
+      currentFrameId: observable,
+      onionSkinEnabled: observable,
+      playing: observable,
+      currentIndex: computed,
+      storedPixelCount: computed,
+      totalDuration: computed,
+      reset: action,
+      insertFrame: action,
+      removeFrame: action,
+      moveFrame: action,
+      setDuration: action,
+      setCurrentFrame: action,
+      storePixels: action,
+      takePixels: action,
+      removeLayerPixels: action,
+      restoreLayerPixels: action,
+      setOnionSkinEnabled: action,
+      setPlaying: action
+    })
+
+    this.reset()
+  }
+
+  /**
+   * 当前帧的位置
+   */
+  get currentIndex() {
+    return this.indexOf(this.currentFrameId)
+  }
+
+  /**
+   * 保存在其他帧中的像素总数（计入像素总数上限）
+   */
+  get storedPixelCount() {
+    return this.frames.reduce((sum, frame) => frame.id === this.currentFrameId ? sum : sum + frame.pixelCount, 0)
+  }
+
+  /**
+   * 播放一遍的总时长（毫秒）
+   */
+  get totalDuration() {
+    return this.frames.reduce((sum, frame) => sum + frame.duration, 0)
+  }
+
+  /**
+   * 恢复为只有一帧
+   */
+  reset() {
+    this.nextFrameId = 1
+    this.playing = false
+    this.framePixels.clear()
+    const frame = this.createFrame()
+    this.frames = [frame]
+    this.currentFrameId = frame.id
+  }
+
+  /**
+   * 创建一帧（不加入时间轴）
+   * @param {number} [duration] - 显示时长（毫秒），默认为 config.defaultDuration
+   * @returns {{id: string, duration: number, pixelCount: number}}
+   */
+  createFrame(duration = this.config.defaultDuration) {
+    return { id: `frame_${this.nextFrameId++}`, duration, pixelCount: 0 }
+  }
+
+  getFrame(frameId) {
+    return this.frames.find(frame => frame.id === frameId) || null
+  }
+
+  indexOf(frameId) {
+    return this.frames.findIndex(frame => frame.id === frameId)
+  }
+
+  /**
+   * 在指定位置插入一帧（不切换当前帧）
+   * @param {Object} frame - 见 createFrame
+   * @param {number} index - 插入位置
+   * @param {Array<WigglePixel>} [pixels] - 这一帧的像素
+   * @returns {boolean} 是否插入（超出帧数上限时不插入）
+   */
+  insertFrame(frame, index, pixels = []) {
+    if (this.frames.length >= this.config.maxFrames) return false
+
+    this.frames.splice(Math.max(0, Math.min(index, this.frames.length)), 0, frame)
+    this.storePixels(frame.id, pixels)
+    return true
+  }
+
+  /**
+   * 删除一帧（不能删除当前帧和最后一帧）
+   * @param {string} frameId
+   * @returns {{frame: Object, index: number, pixels: Array<WigglePixel>}|null} 被删除的帧、位置和像素
+   */
+  removeFrame(frameId) {
+    const index = this.indexOf(frameId)
+    if (index < 0 || frameId === this.currentFrameId || this.frames.length <= 1) return null
+
+    const pixels = this.takePixels(frameId)
+    const [frame] = this.frames.splice(index, 1)
+    return { frame, index, pixels }
+  }
+
+  /**
+   * 前移或后移一帧
+   * @param {string} frameId
+   * @param {number} direction - 1 后移，-1 前移
+   * @returns {boolean} 是否移动
+   */
+  moveFrame(frameId, direction) {
+    const index = this.indexOf(frameId)
+    const target = index + direction
+    if (index < 0 || target < 0 || target >= this.frames.length) return false
+
+    const [frame] = this.frames.splice(index, 1)
+    this.frames.splice(target, 0, frame)
+    return true
+  }
+
+  /**
+   * 设置帧的显示时长
+   * @param {string} frameId
+   * @param {number} duration - 毫秒，限制在 minDuration-maxDuration 之间
+   */
+  setDuration(frameId, duration) {
+    const frame = this.getFrame(frameId)
+    if (frame) {
+      frame.duration = Math.min(this.config.maxDuration, Math.max(this.config.minDuration, Math.round(duration)))
+    }
+  }
+
+  setCurrentFrame(frameId) {
+    if (this.getFrame(frameId)) {
+      this.currentFrameId = frameId
+    }
+  }
+
+  /**
+   * 保存一帧的像素（切换到其他帧时调用）
+   * @param {string} frameId
+   * @param {Array<WigglePixel>} pixels
+   */
+  storePixels(frameId, pixels) {
+    const frame = this.getFrame(frameId)
+    if (!frame) return
+
+    this.framePixels.set(frameId, pixels)
+    frame.pixelCount = pixels.length
+  }
+
+  /**
+   * 取出一帧保存的像素（切换到这一帧或删除这一帧时调用）
+   * @param {string} frameId
+   * @returns {Array<WigglePixel>}
+   */
+  takePixels(frameId) {
+    const pixels = this.framePixels.get(frameId) || []
+    this.framePixels.delete(frameId)
+    const frame = this.getFrame(frameId)
+    if (frame) {
+      frame.pixelCount = 0
+    }
+    return pixels
+  }
+
+  /**
+   * 获取一帧保存的像素（不取出，用于洋葱皮和导出）
+   * @param {string} frameId
+   * @returns {Array<WigglePixel>}
+   */
+  peekPixels(frameId) {
+    return this.framePixels.get(frameId) || []
+  }
+
+  /**
+   * 从其他帧中移除指定图层的像素（删除图层时调用）
+   * @param {string} layerId
+   * @returns {Array<{frameId: string, pixels: Array<WigglePixel>}>} 每一帧被移除的像素
+   */
+  removeLayerPixels(layerId) {
+    const removed = []
+    this.framePixels.forEach((pixels, frameId) => {
+      const layerPixels = pixels.filter(pixel => pixel.layerId === layerId)
+      if (layerPixels.length === 0) return
+
+      this.storePixels(frameId, pixels.filter(pixel => pixel.layerId !== layerId))
+      removed.push({ frameId, pixels: layerPixels })
+    })
+    return removed
+  }
+
+  /**
+   * 把 removeLayerPixels 移除的像素放回各帧（撤销删除图层时调用）
+   * @param {Array<{frameId: string, pixels: Array<WigglePixel>}>} removed
+   */
+  restoreLayerPixels(removed) {
+    removed.forEach(({ frameId, pixels }) => {
+      this.storePixels(frameId, this.peekPixels(frameId).concat(pixels))
+    })
+  }
+
+  setOnionSkinEnabled(enabled) {
+    this.onionSkinEnabled = enabled
+  }
+
+  setPlaying(playing) {
+    this.playing = playing
+  }
+}
+
+module.exports = { TimelineStore }
@@ -0,0 +1,125 @@
+const { makeObservable, observable, computed, action } = require('mobx-miniprogram')
+
+/**
+ * 视口存储
+ * 维护画布的缩放和平移变换：屏幕坐标 = 画布坐标 * scale + offset
+ */
+class ViewportStore {
+  constructor() {
+    this.scale = 1
+    this.offsetX = 0
+    this.offsetY = 0
+
+    // 画布显示尺寸，用于限制平移范围
+    this.width = 0
+    this.height = 0
+
+    this.config = {
+      minScale: 1,
+      maxScale: 8
+    }
+
+    makeObservable(this, {
+      scale: observable,
+      offsetX: observable,
+      offsetY: observable,
+      isIdentity: computed,
+      zoomPercent: computed,
+      setBounds: action,
+      setTransform: action,
+      reset: action
+    })
+  }
+
+  /**
+   * 是否未缩放、未平移
+   */
+  get isIdentity() {
+    return this.scale === 1 && this.offsetX === 0 && this.offsetY === 0
+  }
+
+  get zoomPercent() {
+    return Math.round(this.scale * 100)
+  }
+
+  /**
+   * 设置画布显示尺寸
+   */
+  setBounds(width, height) {
+    this.width = width
+    this.height = height
+    this.setTransform(this.scale, this.offsetX, this.offsetY)
+  }
+
+  /**
+   * 将缩放比例限制在允许范围内
+   * @param {number} scale
+   * @returns {number}
+   */
+  clampScale(scale) {
+    const { minScale, maxScale } = this.config
+    return Math.min(maxScale, Math.max(minScale, scale))
+  }
+
+  /**
+   * 设置变换，缩放和平移都会被限制在画布范围内
+   * @param {number} scale - 缩放比例
+   * @param {number} offsetX - x方向平移（屏幕像素）
+   * @param {number} offsetY - y方向平移（屏幕像素）
+   */
+  setTransform(scale, offsetX, offsetY) {
+    const clampedScale = this.clampScale(scale)
+
+    // 保证画布始终铺满视口，不露出画布以外的区域
+    const minOffsetX = this.width - this.width * clampedScale
+    const minOffsetY = this.height - this.height * clampedScale
+
+    this.scale = clampedScale
+    this.offsetX = Math.min(0, Math.max(minOffsetX, offsetX))
+    this.offsetY = Math.min(0, Math.max(minOffsetY, offsetY))
+  }
+
+  /**
+   * 屏幕坐标转换为画布坐标
+   * @param {number} x - 相对画布元素的屏幕x坐标
+   * @param {number} y - 相对画布元素的屏幕y坐标
+   * @returns {{x: number, y: number}}
+   */
+  screenToCanvas(x, y) {
+    return {
+      x: (x - this.offsetX) / this.scale,
+      y: (y - this.offsetY) / this.scale
+    }
+  }
+
+  /**
+   * 画布坐标转换为屏幕坐标
+   * @returns {{x: number, y: number}}
+   */
+  canvasToScreen(x, y) {
+    return {
+      x: x * this.scale + this.offsetX,
+      y: y * this.scale + this.offsetY
+    }
+  }
+
+  /**
+   * 将变换应用到画布上下文（调用方负责 save/restore）
+   * @param {CanvasContext} ctx - 画布上下文
+   */
+  applyToContext(ctx) {
+    ctx.translate(this.offsetX, this.offsetY)
+    ctx.scale(this.scale, this.scale)
+  }
+
+  /**
+   * 恢复到原始大小
+   */
+  reset() {
+    this.scale = 1
+    this.offsetX = 0
+    this.offsetY = 0
+  }
+}
+
+module.exports = { ViewportStore }
@@ -2,6 +2,92 @@
  * 抖动像素动画相关功能
  */
 
+const { MAX_SEED, deriveSeed } = require('./random');
+
+// 抖动速度为 1 时每秒切换的帧数
+const BASE_WIGGLE_RATE = 15;
+
+// 抖动周期（动画时钟的帧数）：每个像素的帧序列每隔这么多帧重复一次，
+// 渲染器只需预渲染这么多张缓存帧循环播放，结果与逐个绘制相同
+const WIGGLE_PERIOD = 12;
+// 像素播完一轮所有帧可用的时钟帧数：WIGGLE_PERIOD 的约数
+const WIGGLE_CYCLES = Array.from({ length: WIGGLE_PERIOD }, (_, i) => i + 1)
+  .filter(cycle => WIGGLE_PERIOD % cycle === 0);
+
+/**
+ * 每一笔可选的抖动风格
+ * amplitude - 抖动幅度（形状偏移量的倍数）
+ * speed     - 抖动速度（切换帧的速度倍数）
+ */
+const WIGGLE_STYLES = {
+  calm: { amplitude: 0.6, speed: 0.5 },
+  normal: { amplitude: 1, speed: 1 },
+  jittery: { amplitude: 1.4, speed: 1.8 }
+};
+
+/**
+ * 画笔可用的混合模式
+ * source-over - 普通叠加
+ * lighter     - 颜色相加（越叠越亮，适合霓虹光效）
+ * multiply    - 正片叠底（越叠越暗，适合荧光标记）
+ * screen      - 滤色（变亮但不会过曝）
+ */
+const COMPOSITE_MODES = ['source-over', 'lighter', 'multiply', 'screen'];
+
+// 变亮类混合在浅色背景上看不见
+const BRIGHTENING_MODES = ['lighter', 'screen'];
+
+/**
+ * 实际使用的混合模式：浅色背景上变亮类混合改为普通叠加
+ * @param {string} composite - 见 COMPOSITE_MODES
+ * @param {boolean} lightBackground - 是否为浅色背景
+ * @returns {string}
+ */
+function getEffectiveComposite(composite, lightBackground) {
+  return lightBackground && BRIGHTENING_MODES.indexOf(composite) >= 0 ? 'source-over' : composite;
+}
+
+// 形状包围盒缓存，避免每次计算范围都遍历帧数据
+const shapeBoundsCache = new WeakMap();
+
+/**
+ * 计算形状所有帧的包围盒（以像素块为单位）
+ * @param {Array} frameData - 帧动画数据
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+function getShapeBounds(frameData) {
+  let bounds = shapeBoundsCache.get(frameData);
+  if (bounds) return bounds;
+
+  bounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+  frameData.forEach(frame => {
+    frame.forEach(([dx, dy]) => {
+      bounds.minX = Math.min(bounds.minX, dx);
+      bounds.minY = Math.min(bounds.minY, dy);
+      bounds.maxX = Math.max(bounds.maxX, dx);
+      bounds.maxY = Math.max(bounds.maxY, dy);
+    });
+  });
+  shapeBoundsCache.set(frameData, bounds);
+  return bounds;
+}
+
+/**
+ * 把像素播完一轮所有帧所用的时钟帧数对齐到 WIGGLE_CYCLES 中最接近的值（按比例），帧序列因此以 WIGGLE_PERIOD 为周期
+ * 每个时钟帧前进不到一格的像素不能因此跳帧，一轮至少用帧数个时钟帧
+ * @param {number} frameCount - 形状的帧数
+ * @param {number} rate - 每个时钟帧前进的帧数
+ * @returns {number} 一轮所用的时钟帧数
+ */
+function getWiggleCycle(frameCount, rate) {
+  const natural = frameCount / rate;
+  const candidates = rate <= 1 ? WIGGLE_CYCLES.filter(cycle => cycle >= frameCount) : WIGGLE_CYCLES;
+  if (candidates.length === 0) return WIGGLE_PERIOD;
+
+  const distance = cycle => Math.abs(Math.log(cycle / natural));
+  return candidates.reduce((best, cycle) => distance(cycle) < distance(best) ? cycle : best);
+}
+
 /**
  * 抖动像素类，负责单个像素的绘制和动画
  */
@@ -14,45 +100,138 @@ class WigglePixel {
    * @param {Array} frameData - 帧动画数据
    * @param {number} size - 画笔大小（像素块尺寸）
    * @param {number} opacity - 透明度 (0-1)
-   * @param {string} penType - 画笔类型 (pencil/marker/glow)
+   * @param {string} penType - 画笔类型 (pencil/marker/glow/highlighter)
+   * @param {Object} [style] - 绘制效果和抖动风格
+   * @param {string} [style.composite='source-over'] - 混合模式，见 COMPOSITE_MODES
+   * @param {number} [style.glow=0] - 光晕半径（以像素块尺寸为单位，0 为无光晕）
+   * @param {number} [style.amplitude=1] - 抖动幅度，见 WIGGLE_STYLES
+   * @param {number} [style.speed=1] - 抖动速度，见 WIGGLE_STYLES
+   * @param {number} [seed=0] - 像素种子（见 utils/random.js），决定抖动的相位和速度的细微差别
    */
-  constructor(x, y, color, frameData, size = 2, opacity = 1, penType = 'pencil') {
+  constructor(x, y, color, frameData, size = 2, opacity = 1, penType = 'pencil', style = {}, seed = 0) {
     this.x = x;
     this.y = y;
     this.color = color;
     this.frameData = frameData;
-    this.currentFrame = 0;
+    this.seed = seed >>> 0;
     this.size = size; // 画笔大小，默认2x2像素
     this.opacity = opacity; // 透明度
     this.penType = penType; // 画笔类型
+    this.composite = style.composite || 'source-over'; // 混合模式
+    this.glow = style.glow || 0; // 光晕半径
+    this.amplitude = style.amplitude || 1; // 抖动幅度
+    this.speed = style.speed || 1; // 抖动速度
+    // 实际速度在 speed 的基础上按种子浮动 ±15%，避免整张画同时跳帧；播完一轮的时钟帧数对齐到 WIGGLE_PERIOD 的约数
+    const rate = this.speed * (0.85 + 0.3 * deriveSeed(this.seed, 0) / MAX_SEED);
+    this.cycle = getWiggleCycle(frameData.length, rate);
+    // 帧相位（以 1/cycle 帧为单位的整数）：第 tick 帧时显示 floor((phaseSteps + tick * 帧数) / cycle) % 帧数，让相邻像素不同步抖动
+    this.phaseSteps = Math.floor(this.seed / MAX_SEED * frameData.length * this.cycle);
+    this.currentFrame = Math.floor(this.phaseSteps / this.cycle);
   }
   
   /**
-   * 绘制当前帧的像素（支持不同大小和透明度）
+   * 绘制当前帧的像素（支持不同大小、透明度、混合模式和光晕）
    * @param {CanvasContext} ctx - 画布上下文
+   * @param {Object} [options]
+   * @param {number} [options.shadowScale=1] - 光晕缩放（shadowBlur 不受画布变换影响，需要按实际缩放换算）
+   * @param {boolean} [options.lightBackground=false] - 是否为浅色背景，浅色背景上变亮类混合改为普通叠加
+   * @param {number} [options.amplitude=1] - 全局抖动幅度，与像素自身的幅度相乘
+   * @param {boolean} [options.glow=true] - 是否绘制光晕（渲染负载高时关闭）
    */
-  draw(ctx) {
+  draw(ctx, options = {}) {
+    const { shadowScale = 1, lightBackground = false, amplitude = 1, glow = true } = options;
+    const offsetScale = this.size * this.amplitude * amplitude;
+    const glowRadius = glow ? this.glow : 0;
+
     // 保存当前的globalAlpha
     const originalAlpha = ctx.globalAlpha;
 
-    // 设置透明度
-    ctx.globalAlpha = this.opacity;
+    // 设置透明度（与图层不透明度等外部设置相乘）
+    ctx.globalAlpha = originalAlpha * this.opacity;
     ctx.fillStyle = this.color;
 
+    const composite = getEffectiveComposite(this.composite, lightBackground);
+    const hasEffects = composite !== 'source-over' || glowRadius > 0;
+    if (hasEffects) {
+      ctx.save();
+      ctx.globalCompositeOperation = composite;
+      if (glowRadius > 0) {
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = glowRadius * this.size * shadowScale;
+      }
+    }
+
     this.frameData[this.currentFrame].forEach(([dx, dy]) => {
       // 根据画笔大小绘制像素块
       ctx.fillRect(
-        this.x + dx * this.size,
-        this.y + dy * this.size,
+        this.x + dx * offsetScale,
+        this.y + dy * offsetScale,
         this.size,
         this.size
       );
     });
 
+    if (hasEffects) {
+      ctx.restore();
+    }
+
     // 恢复原始的globalAlpha
     ctx.globalAlpha = originalAlpha;
   }
   
+  /**
+   * 判断当前帧是否覆盖指定点
+   * @param {number} x - 画布x坐标
+   * @param {number} y - 画布y坐标
+   * @param {number} [amplitude=1] - 全局抖动幅度，与绘制时一致
+   * @returns {boolean}
+   */
+  containsPoint(x, y, amplitude = 1) {
+    const offsetScale = this.size * this.amplitude * amplitude;
+    return this.frameData[this.currentFrame].some(([dx, dy]) => {
+      const left = this.x + dx * offsetScale;
+      const top = this.y + dy * offsetScale;
+      return x >= left && x < left + this.size && y >= top && y < top + this.size;
+    });
+  }
+
+  /**
+   * 像素在所有帧中可能覆盖的范围（含光晕）
+   * @param {number} [amplitude=1] - 全局抖动幅度
+   * @returns {{x: number, y: number, width: number, height: number}} 画布坐标
+   */
+  getBounds(amplitude = 1) {
+    const shape = getShapeBounds(this.frameData);
+    const offsetScale = this.size * this.amplitude * amplitude;
+    const margin = this.glow * this.size * 1.5 + 1;
+    return {
+      x: this.x + shape.minX * offsetScale - margin,
+      y: this.y + shape.minY * offsetScale - margin,
+      width: (shape.maxX - shape.minX) * offsetScale + this.size + margin * 2,
+      height: (shape.maxY - shape.minY) * offsetScale + this.size + margin * 2
+    };
+  }
+
+  /**
+   * 跳到动画时钟 tick 对应的帧，相同的种子和 tick 总是得到相同的画面
+   * 帧序列以 WIGGLE_PERIOD 为周期，tick 与 tick % WIGGLE_PERIOD 得到同一帧
+   * @param {number} tick - 动画时钟（以速度为 1 时的帧为单位，小数部分不影响画面）
+   */
+  setFrame(tick) {
+    this.currentFrame = this.getFrameAt(tick);
+  }
+
+  /**
+   * 动画时钟 tick 对应的帧序号（不改变当前帧）
+   * @param {number} tick - 见 setFrame
+   * @returns {number}
+   */
+  getFrameAt(tick) {
+    const frameCount = this.frameData.length;
+    const step = Math.floor(tick) % WIGGLE_PERIOD;
+    return Math.floor((this.phaseSteps + step * frameCount) / this.cycle) % frameCount;
+  }
+
   /**
    * 更新到下一帧
    */
@@ -80,7 +259,9 @@ class AnimationController {
     this.activePixels = [];
     this.animationTimer = null;
     this.frameRate = 100; // 毫秒
-    this.maxPixels = 500; // 限制最大像素数量，防止卡死
+    this.maxPixels = 500; // 每帧都切换帧的像素数量，超出部分降低更新频率而不是丢弃
+    this.distantUpdateEvery = 3; // 超出 maxPixels 的较早像素每隔几帧才切换一次帧
+    this.tick = 0;
   }
 
   /**
@@ -88,12 +269,6 @@ class AnimationController {
    * @param {WigglePixel} pixel - 抖动像素对象
    */
   addPixel(pixel) {
-    // 限制像素数量，防止内存溢出和性能问题
-    if (this.activePixels.length >= this.maxPixels) {
-      // 移除最老的像素（FIFO队列）
-      this.activePixels.shift();
-    }
-
     this.activePixels.push(pixel);
     if (this.activePixels.length === 1) {
       this.startAnimation();
@@ -121,11 +296,16 @@ class AnimationController {
       this.ctx.fillStyle = this.backgroundColor;
       this.ctx.fillRect(0, 0, this.width, this.height);
       
-      // 更新并绘制所有像素
-      this.activePixels.forEach(pixel => {
-        pixel.update();
+      // 更新并绘制所有像素：最近的 maxPixels 个每帧更新，更早的像素降低更新频率
+      const oldCount = Math.max(0, this.activePixels.length - this.maxPixels);
+      const updateOld = this.tick % this.distantUpdateEvery === 0;
+      this.activePixels.forEach((pixel, index) => {
+        if (index >= oldCount || updateOld) {
+          pixel.update();
+        }
         pixel.draw(this.ctx);
       });
+      this.tick++;
       
       // 继续动画循环
       this.animationTimer = setTimeout(animate, this.frameRate);
@@ -158,7 +338,7 @@ class AnimationController {
     for (let i = 0; i < frames; i++) {
       // 设置每个像素的当前帧
       this.activePixels.forEach(pixel => {
-        pixel.currentFrame = i % pixel.frameData.length;
+        pixel.setFrame(i);
       });
       
       // 清除画布并绘制当前帧
@@ -184,6 +364,12 @@ class AnimationController {
 }
 
 module.exports = {
+  BASE_WIGGLE_RATE,
+  WIGGLE_PERIOD,
+  WIGGLE_STYLES,
+  COMPOSITE_MODES,
+  getEffectiveComposite,
+  getShapeBounds,
   WigglePixel,
   AnimationController
 };
\ No newline at end of file
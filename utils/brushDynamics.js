@@ -0,0 +1,115 @@
+/**
+ * 画笔动态（笔锋）
+ * 根据触摸压力或笔画速度改变像素大小和透明度
+ */
+
+/**
+ * 默认响应曲线
+ * sizeRange/opacityRange 为相对当前画笔大小/透明度的倍数区间 [最轻, 最重]
+ * gamma 控制曲线形状：大于1时需要更用力/更慢才能变粗，小于1时反之
+ */
+const DEFAULT_CURVE = {
+  sizeRange: [0.5, 1.2],
+  opacityRange: [0.6, 1],
+  gamma: 1
+};
+
+// 速度达到该值（屏幕像素/毫秒）时视为最轻
+const MAX_SPEED = 3;
+
+// 强度平滑系数（0-1，越小越平滑）
+const SMOOTHING = 0.35;
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function lerp(range, t) {
+  return range[0] + (range[1] - range[0]) * t;
+}
+
+/**
+ * 判断设备是否上报了有效的压力值
+ * 不支持压感的设备通常上报 0 或恒定的 1
+ * @param {Object} touch - 触摸点
+ * @returns {boolean}
+ */
+function hasForce(touch) {
+  return typeof touch.force === 'number' && touch.force > 0 && touch.force < 1;
+}
+
+/**
+ * 一笔的画笔动态
+ * 优先使用触摸压力，设备不支持时根据速度推算：越快越细越淡
+ */
+class BrushDynamics {
+  /**
+   * @param {Object} [curve] - 画笔的响应曲线，缺省字段使用默认值
+   */
+  constructor(curve = {}) {
+    this.curve = { ...DEFAULT_CURVE, ...curve };
+    this.intensity = 0.5; // 当前强度 (0-1)
+    this.useForce = false;
+    this.lastPoint = null;
+    this.lastTime = 0;
+  }
+
+  /**
+   * 开始一笔
+   * @param {Object} touch - 触摸点（含 force）
+   * @param {{x: number, y: number}} point - 屏幕坐标
+   * @param {number} time - 时间戳（毫秒）
+   */
+  begin(touch, point, time) {
+    this.useForce = hasForce(touch);
+    this.intensity = this.useForce ? touch.force : 0.5;
+    this.lastPoint = point;
+    this.lastTime = time;
+  }
+
+  /**
+   * 根据新的触摸点更新强度
+   * @param {Object} touch - 触摸点（含 force）
+   * @param {{x: number, y: number}} point - 屏幕坐标
+   * @param {number} time - 时间戳（毫秒）
+   */
+  update(touch, point, time) {
+    // 一笔中途开始上报压力时切换为压感模式
+    if (!this.useForce && hasForce(touch)) {
+      this.useForce = true;
+    }
+
+    let target;
+    if (this.useForce) {
+      target = clamp01(touch.force || 0);
+    } else {
+      const elapsed = Math.max(1, time - this.lastTime);
+      const dx = point.x - this.lastPoint.x;
+      const dy = point.y - this.lastPoint.y;
+      const speed = Math.sqrt(dx * dx + dy * dy) / elapsed;
+      target = 1 - clamp01(speed / MAX_SPEED);
+    }
+
+    this.intensity += (target - this.intensity) * SMOOTHING;
+    this.lastPoint = point;
+    this.lastTime = time;
+  }
+
+  /**
+   * 将当前强度应用到画笔大小配置
+   * @param {Object} brushSize - 画笔大小配置 { size, opacity }
+   * @returns {Object} 新的画笔大小配置 { size, opacity }
+   */
+  apply(brushSize) {
+    const t = Math.pow(clamp01(this.intensity), this.curve.gamma);
+    return {
+      size: Math.max(1, brushSize.size * lerp(this.curve.sizeRange, t)),
+      opacity: clamp01(brushSize.opacity * lerp(this.curve.opacityRange, t))
+    };
+  }
+}
+
+module.exports = {
+  BrushDynamics,
+  DEFAULT_CURVE
+};
@@ -0,0 +1,241 @@
+/**
+ * 画笔注册表
+ * 每支画笔声明颜色与大小、形状、不透明度、间距、混合效果、音效和落笔方式，
+ * 工具栏和落笔逻辑都从注册表读取，不再写死在页面里
+ */
+
+const { getRandomShape, getDirectionalShape } = require('./shapes');
+
+/**
+ * 落笔上下文，由画布页面在每个落笔点提供
+ * @typedef {Object} PlaceContext
+ * @property {number} x - 画布x坐标
+ * @property {number} y - 画布y坐标
+ * @property {number|null} angle - 笔画方向（弧度），未开启顺笔或方向未知时为 null
+ * @property {Object} brush - 当前画笔
+ * @property {Array<{id: string, weight: number}>} shapeSet - 画笔使用的形状和权重（见 stores/shapeStore.js）
+ * @property {string} color - 实际使用的颜色
+ * @property {{size: number, opacity: number}} brushSize - 已应用画笔倍数和笔锋的像素尺寸
+ * @property {Function} addPixel - (x, y, frameData) => WigglePixel，在当前图层添加像素
+ * @property {Function} erase - (x, y, radius) => number，擦除当前图层的像素
+ * @property {{density: number, falloff: number}} spray - 喷枪密度和衰减 (0-1)
+ * @property {Function} requestPixels - (count) => number，按像素预算限速，返回本次允许添加的数量
+ * @property {Function} random - () => number，[0, 1) 的可复现随机数（见 utils/random.js），不要使用 Math.random
+ */
+
+/**
+ * 默认落笔：在落点放置一个随机形状的抖动像素，有笔画方向时优先选择顺着笔画的形状
+ * @param {PlaceContext} context
+ */
+function placeShapePixel(context) {
+  const shapeSet = context.shapeSet || context.brush.shapes;
+  const frames = context.angle === null
+    ? getRandomShape(shapeSet, context.random)
+    : getDirectionalShape(shapeSet, context.angle, context.random);
+  context.addPixel(context.x, context.y, frames);
+}
+
+/**
+ * 橡皮擦落笔：擦除落点周围的像素
+ * @param {PlaceContext} context
+ */
+function placeEraser(context) {
+  const radius = context.brushSize.size * context.brush.eraserRadiusRatio;
+  context.erase(context.x, context.y, radius);
+}
+
+/**
+ * 喷枪落笔：在落点周围的圆内随机撒出多个抖动像素
+ * 衰减为 0 时均匀分布，越大越集中在中心
+ * @param {PlaceContext} context
+ */
+function placeSpray(context) {
+  const { brush, brushSize, spray } = context;
+  const wanted = 1 + Math.round(spray.density * (brush.spray.maxParticles - 1));
+  const count = context.requestPixels(wanted);
+  const radius = brushSize.size * brush.spray.radiusRatio;
+  // 均匀分布在圆内时距离取随机数的平方根，指数越大越靠近中心
+  const exponent = 0.5 + spray.falloff * 1.5;
+
+  for (let i = 0; i < count; i++) {
+    const angle = context.random() * Math.PI * 2;
+    const distance = radius * Math.pow(context.random(), exponent);
+    context.addPixel(
+      context.x + Math.cos(angle) * distance,
+      context.y + Math.sin(angle) * distance,
+      getRandomShape(context.shapeSet || brush.shapes, context.random)
+    );
+  }
+}
+
+/**
+ * 画笔的默认配置
+ */
+const DEFAULT_BRUSH = {
+  name: '画笔',
+  // 画笔自带颜色；allowCustomColor 为 true 时自选颜色优先
+  color: '#000000',
+  allowCustomColor: true,
+  // 像素块尺寸 = 画笔大小 * sizeScale，不透明度与画笔大小配置相乘
+  sizeScale: 1,
+  opacity: 1,
+  // 落笔间距 = 像素块尺寸 * spacingRatio
+  spacingRatio: 3,
+  // 默认使用的形状名称（见 utils/shapes.js），可在形状库中为每支画笔另设形状和权重
+  shapes: ['plus', 'diag', 'reverseDiag'],
+  // 混合模式和光晕（见 utils/animation.js）
+  composite: 'source-over',
+  glow: 0,
+  sound: '/static/sounds/clip.mp3',
+  // 笔锋响应曲线（见 utils/brushDynamics.js），null 表示不支持笔锋
+  dynamics: null,
+  // 喷枪参数：radiusRatio 为喷洒半径与像素块尺寸之比，maxParticles 为密度最大时每次喷出的像素数；null 表示不是喷枪
+  spray: null,
+  // 手指停住时持续落笔的间隔（毫秒），0 表示只在移动时落笔
+  emitInterval: 0,
+  isEraser: false,
+  isPreset: false,
+  place: placeShapePixel
+};
+
+/**
+ * 内置画笔，按工具栏显示顺序排列
+ */
+const BUILTIN_BRUSHES = [
+  {
+    id: 'pencil',
+    name: '铅笔',
+    color: '#000000',
+    dynamics: { sizeRange: [0.5, 1.2], opacityRange: [0.6, 1], gamma: 1 }
+  },
+  {
+    id: 'marker',
+    name: '马克笔',
+    color: '#39C5BB',
+    dynamics: { sizeRange: [0.8, 1.1], opacityRange: [0.85, 1], gamma: 0.7 }
+  },
+  {
+    id: 'glow',
+    name: '霓虹笔',
+    color: '#FF3CAC',
+    composite: 'lighter',
+    glow: 3,
+    dynamics: { sizeRange: [0.4, 1.5], opacityRange: [0.4, 1], gamma: 1.6 }
+  },
+  {
+    id: 'highlighter',
+    name: '荧光笔',
+    color: '#FFE600',
+    composite: 'multiply',
+    dynamics: { sizeRange: [0.9, 1.1], opacityRange: [0.8, 1], gamma: 1 }
+  },
+  {
+    id: 'spray',
+    name: '喷枪',
+    color: '#E4572E',
+    opacity: 0.9,
+    spacingRatio: 4,
+    spray: { radiusRatio: 8, maxParticles: 12 },
+    emitInterval: 60,
+    place: placeSpray
+  },
+  {
+    id: 'eraser',
+    name: '橡皮擦',
+    color: 'transparent',
+    allowCustomColor: false,
+    isEraser: true,
+    // 擦除半径 = 像素块尺寸 * eraserRadiusRatio
+    eraserRadiusRatio: 3,
+    place: placeEraser
+  }
+];
+
+/**
+ * 预设可以覆盖的字段（会保存到本地缓存）
+ */
+const PRESET_FIELDS = ['color', 'sizeScale', 'opacity', 'spacingRatio', 'composite', 'glow'];
+
+const registry = new Map();
+
+/**
+ * 注册画笔，已存在同 id 的画笔时覆盖
+ * @param {Object} definition - 画笔定义，未声明的字段使用 DEFAULT_BRUSH
+ * @returns {Object} 注册后的画笔
+ */
+function registerBrush(definition) {
+  if (!definition || !definition.id) {
+    throw new Error('画笔缺少 id');
+  }
+
+  const brush = Object.assign({}, DEFAULT_BRUSH, definition);
+  registry.set(brush.id, brush);
+  return brush;
+}
+
+/**
+ * 移除画笔（内置画笔不能移除）
+ * @param {string} id
+ * @returns {boolean} 是否移除
+ */
+function unregisterBrush(id) {
+  if (BUILTIN_BRUSHES.some(brush => brush.id === id)) return false;
+  return registry.delete(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {Object|null}
+ */
+function getBrush(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * 按注册顺序列出全部画笔
+ * @returns {Array<Object>}
+ */
+function listBrushes() {
+  return Array.from(registry.values());
+}
+
+/**
+ * 以某支画笔为基础生成预设定义
+ * 预设使用自己的颜色，不受自选颜色影响
+ * @param {Object} preset - 预设数据 { id, name, baseId, ...PRESET_FIELDS }
+ * @returns {Object|null} 画笔定义，基础画笔不存在时返回 null
+ */
+function createPresetDefinition(preset) {
+  const base = getBrush(preset.baseId);
+  if (!base) return null;
+
+  const definition = Object.assign({}, base, {
+    id: preset.id,
+    name: preset.name,
+    baseId: base.baseId || base.id,
+    allowCustomColor: false,
+    isPreset: true
+  });
+  PRESET_FIELDS.forEach(field => {
+    if (preset[field] !== undefined) {
+      definition[field] = preset[field];
+    }
+  });
+  return definition;
+}
+
+BUILTIN_BRUSHES.forEach(registerBrush);
+
+module.exports = {
+  DEFAULT_BRUSH,
+  BUILTIN_BRUSHES,
+  PRESET_FIELDS,
+  placeShapePixel,
+  placeEraser,
+  placeSpray,
+  registerBrush,
+  unregisterBrush,
+  getBrush,
+  listBrushes,
+  createPresetDefinition
+};
@@ -0,0 +1,138 @@
+/**
+ * 颜色工具
+ * HEX / RGB / HSV 之间的转换
+ */
+
+/**
+ * 规范化HEX颜色，支持 #RGB 和 #RRGGBB，无效时返回 null
+ * @param {string} hex - 颜色字符串（可省略 #）
+ * @returns {string|null} 大写的 #RRGGBB
+ */
+function normalizeHex(hex) {
+  if (typeof hex !== 'string') return null;
+
+  let value = hex.trim().replace(/^#/, '');
+  if (/^[0-9a-fA-F]{3}$/.test(value)) {
+    value = value.split('').map(c => c + c).join('');
+  }
+  if (!/^[0-9a-fA-F]{6}$/.test(value)) return null;
+
+  return `#${value.toUpperCase()}`;
+}
+
+/**
+ * HEX 转 RGB
+ * @param {string} hex - #RRGGBB
+ * @returns {{r: number, g: number, b: number}|null}
+ */
+function hexToRgb(hex) {
+  const normalized = normalizeHex(hex);
+  if (!normalized) return null;
+
+  const value = parseInt(normalized.slice(1), 16);
+  return {
+    r: (value >> 16) & 0xff,
+    g: (value >> 8) & 0xff,
+    b: value & 0xff
+  };
+}
+
+/**
+ * RGB 转 HEX
+ * @returns {string} #RRGGBB
+ */
+function rgbToHex(r, g, b) {
+  const toHex = v => Math.round(Math.min(255, Math.max(0, v))).toString(16).padStart(2, '0');
+  return `#${toHex(r)}${toHex(g)}${toHex(b)}`.toUpperCase();
+}
+
+/**
+ * RGB 转 HSV
+ * @returns {{h: number, s: number, v: number}} h 为 0-360，s/v 为 0-100
+ */
+function rgbToHsv(r, g, b) {
+  const rn = r / 255;
+  const gn = g / 255;
+  const bn = b / 255;
+  const max = Math.max(rn, gn, bn);
+  const min = Math.min(rn, gn, bn);
+  const delta = max - min;
+
+  let h = 0;
+  if (delta !== 0) {
+    if (max === rn) {
+      h = ((gn - bn) / delta) % 6;
+    } else if (max === gn) {
+      h = (bn - rn) / delta + 2;
+    } else {
+      h = (rn - gn) / delta + 4;
+    }
+    h *= 60;
+    if (h < 0) h += 360;
+  }
+
+  return {
+    h: Math.round(h),
+    s: Math.round(max === 0 ? 0 : (delta / max) * 100),
+    v: Math.round(max * 100)
+  };
+}
+
+/**
+ * HSV 转 RGB
+ * @param {number} h - 0-360
+ * @param {number} s - 0-100
+ * @param {number} v - 0-100
+ * @returns {{r: number, g: number, b: number}}
+ */
+function hsvToRgb(h, s, v) {
+  const sn = s / 100;
+  const vn = v / 100;
+  const c = vn * sn;
+  const hp = (((h % 360) + 360) % 360) / 60;
+  const x = c * (1 - Math.abs((hp % 2) - 1));
+  const m = vn - c;
+
+  let rgb;
+  if (hp < 1) rgb = [c, x, 0];
+  else if (hp < 2) rgb = [x, c, 0];
+  else if (hp < 3) rgb = [0, c, x];
+  else if (hp < 4) rgb = [0, x, c];
+  else if (hp < 5) rgb = [x, 0, c];
+  else rgb = [c, 0, x];
+
+  return {
+    r: Math.round((rgb[0] + m) * 255),
+    g: Math.round((rgb[1] + m) * 255),
+    b: Math.round((rgb[2] + m) * 255)
+  };
+}
+
+/**
+ * HEX 转 HSV
+ * @param {string} hex - #RRGGBB
+ * @returns {{h: number, s: number, v: number}|null}
+ */
+function hexToHsv(hex) {
+  const rgb = hexToRgb(hex);
+  return rgb ? rgbToHsv(rgb.r, rgb.g, rgb.b) : null;
+}
+
+/**
+ * HSV 转 HEX
+ * @returns {string} #RRGGBB
+ */
+function hsvToHex(h, s, v) {
+  const { r, g, b } = hsvToRgb(h, s, v);
+  return rgbToHex(r, g, b);
+}
+
+module.exports = {
+  normalizeHex,
+  hexToRgb,
+  rgbToHex,
+  rgbToHsv,
+  hsvToRgb,
+  hexToHsv,
+  hsvToHex
+};
@@ -0,0 +1,160 @@
+/**
+ * 油漆桶填充
+ * 把已有像素栅格化为占用网格，从点击处向外扩散找到被线条围住的区域，
+ * 再按图案在区域内生成落笔点
+ */
+
+const { getShapeBounds } = require('./animation');
+
+/**
+ * 填充图案
+ * solid  - 均匀铺满（隔行错开半格）
+ * hatch  - 斜线排线
+ * dither - 棋盘格点阵
+ */
+const FILL_PATTERNS = ['solid', 'hatch', 'dither'];
+
+/**
+ * 查找点击处所在的封闭区域
+ * 画布边缘也视为边界
+ * @param {Iterable<WigglePixel>} pixels - 已有像素
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @param {number} seedX - 点击x坐标
+ * @param {number} seedY - 点击y坐标
+ * @param {number} [cellSize=3] - 网格大小（像素）
+ * @returns {Object|null} 区域 { mask, cols, rows, cellSize, cellCount }，点击在线条上时返回 null
+ */
+function findFillRegion(pixels, width, height, seedX, seedY, cellSize = 3) {
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const seedCol = Math.floor(seedX / cellSize);
+  const seedRow = Math.floor(seedY / cellSize);
+  if (seedCol < 0 || seedRow < 0 || seedCol >= cols || seedRow >= rows) return null;
+
+  // 0 空白，1 被像素占用，2 属于填充区域
+  const grid = new Uint8Array(cols * rows);
+
+  for (const pixel of pixels) {
+    const bounds = getShapeBounds(pixel.frameData);
+    const left = Math.max(0, Math.floor((pixel.x + bounds.minX * pixel.size) / cellSize));
+    const top = Math.max(0, Math.floor((pixel.y + bounds.minY * pixel.size) / cellSize));
+    const right = Math.min(cols - 1, Math.floor((pixel.x + (bounds.maxX + 1) * pixel.size) / cellSize));
+    const bottom = Math.min(rows - 1, Math.floor((pixel.y + (bounds.maxY + 1) * pixel.size) / cellSize));
+
+    for (let row = top; row <= bottom; row++) {
+      for (let col = left; col <= right; col++) {
+        grid[row * cols + col] = 1;
+      }
+    }
+  }
+
+  const seedIndex = seedRow * cols + seedCol;
+  if (grid[seedIndex] !== 0) return null;
+
+  // 四连通扩散
+  const stack = [seedIndex];
+  grid[seedIndex] = 2;
+  let cellCount = 0;
+
+  while (stack.length > 0) {
+    const index = stack.pop();
+    cellCount++;
+    const col = index % cols;
+    const row = (index - col) / cols;
+
+    if (col > 0 && grid[index - 1] === 0) { grid[index - 1] = 2; stack.push(index - 1); }
+    if (col < cols - 1 && grid[index + 1] === 0) { grid[index + 1] = 2; stack.push(index + 1); }
+    if (row > 0 && grid[index - cols] === 0) { grid[index - cols] = 2; stack.push(index - cols); }
+    if (row < rows - 1 && grid[index + cols] === 0) { grid[index + cols] = 2; stack.push(index + cols); }
+  }
+
+  return { mask: grid, cols, rows, cellSize, cellCount };
+}
+
+/**
+ * 判断点是否在填充区域内
+ */
+function isInRegion(region, x, y) {
+  const col = Math.floor(x / region.cellSize);
+  const row = Math.floor(y / region.cellSize);
+  if (col < 0 || row < 0 || col >= region.cols || row >= region.rows) return false;
+  return region.mask[row * region.cols + col] === 2;
+}
+
+/**
+ * 按图案在区域内生成落笔点
+ * @param {Object} region - findFillRegion 的返回值
+ * @param {number} spacing - 落笔间距（像素）
+ * @param {string} [pattern='solid'] - 填充图案
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getFillPoints(region, spacing, pattern = 'solid') {
+  const width = region.cols * region.cellSize;
+  const height = region.rows * region.cellSize;
+  const points = [];
+
+  // 排线使用更密的点阵，只保留斜线上的点
+  const step = pattern === 'hatch' ? spacing / 2 : spacing;
+
+  for (let j = 0; j * step < height; j++) {
+    // 均匀铺满时隔行错开半格，减少规则网格感
+    const rowOffset = pattern === 'solid' && j % 2 === 1 ? step / 2 : 0;
+
+    for (let i = 0; i * step + rowOffset < width; i++) {
+      if (pattern === 'hatch' && (i + j) % 4 !== 0) continue;
+      if (pattern === 'dither' && (i + j) % 2 !== 0) continue;
+
+      const x = i * step + rowOffset + step / 2;
+      const y = j * step + step / 2;
+      if (isInRegion(region, x, y)) {
+        points.push({ x, y });
+      }
+    }
+  }
+
+  return points;
+}
+
+/**
+ * 计算填充的落笔点，超出像素预算时自动放大间距
+ * @param {Iterable<WigglePixel>} pixels - 已有像素
+ * @param {Object} options
+ * @param {number} options.width - 画布宽度
+ * @param {number} options.height - 画布高度
+ * @param {number} options.x - 点击x坐标
+ * @param {number} options.y - 点击y坐标
+ * @param {number} options.spacing - 期望的落笔间距
+ * @param {string} options.pattern - 填充图案
+ * @param {number} options.budget - 最多可添加的像素数量
+ * @returns {{points: Array, reason: string|null}} 无法填充时 points 为空，reason 为 onLine/overBudget
+ */
+function createFillPoints(pixels, options) {
+  const { width, height, x, y, spacing, pattern, budget } = options;
+
+  const region = findFillRegion(pixels, width, height, x, y);
+  if (!region) {
+    return { points: [], reason: 'onLine' };
+  }
+
+  // 最多放大到 4 倍间距，仍超出预算则放弃
+  const maxSpacing = spacing * 4;
+  let currentSpacing = spacing;
+  while (currentSpacing <= maxSpacing) {
+    const points = getFillPoints(region, currentSpacing, pattern);
+    if (points.length <= budget) {
+      return { points, reason: null };
+    }
+    // 点数大致与间距的平方成反比
+    currentSpacing *= Math.max(1.1, Math.sqrt(points.length / Math.max(1, budget)));
+  }
+
+  return { points: [], reason: 'overBudget' };
+}
+
+module.exports = {
+  FILL_PATTERNS,
+  findFillRegion,
+  getFillPoints,
+  createFillPoints
+};
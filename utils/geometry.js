@@ -0,0 +1,166 @@
+/**
+ * 几何图形工具
+ * 生成直线、矩形、椭圆、正多边形的轮廓顶点，并按间距取落笔点
+ */
+
+/**
+ * 图形工具类型
+ */
+const SHAPE_TOOLS = ['line', 'rect', 'ellipse', 'polygon'];
+
+/**
+ * 获取图形轮廓的顶点
+ * @param {string} tool - line/rect/ellipse/polygon
+ * @param {{x: number, y: number}} start - 拖动起点
+ * @param {{x: number, y: number}} end - 拖动终点
+ * @param {Object} [options]
+ * @param {number} [options.sides=5] - 正多边形边数
+ * @returns {{vertices: Array<{x: number, y: number}>, closed: boolean}}
+ */
+function getShapeOutline(tool, start, end, options = {}) {
+  switch (tool) {
+    case 'line':
+      return { vertices: [start, end], closed: false };
+
+    case 'rect':
+      return {
+        vertices: [
+          { x: start.x, y: start.y },
+          { x: end.x, y: start.y },
+          { x: end.x, y: end.y },
+          { x: start.x, y: end.y }
+        ],
+        closed: true
+      };
+
+    case 'ellipse': {
+      // 以拖动范围为外接矩形
+      const cx = (start.x + end.x) / 2;
+      const cy = (start.y + end.y) / 2;
+      const rx = Math.abs(end.x - start.x) / 2;
+      const ry = Math.abs(end.y - start.y) / 2;
+      const segments = Math.max(16, Math.ceil((rx + ry) / 2));
+      const vertices = [];
+      for (let i = 0; i < segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        vertices.push({ x: cx + rx * Math.cos(angle), y: cy + ry * Math.sin(angle) });
+      }
+      return { vertices, closed: true };
+    }
+
+    case 'polygon': {
+      // 起点为中心，终点为第一个顶点（决定半径和旋转）
+      const sides = Math.max(3, Math.round(options.sides || 5));
+      const radius = Math.sqrt((end.x - start.x) * (end.x - start.x) + (end.y - start.y) * (end.y - start.y));
+      const rotation = Math.atan2(end.y - start.y, end.x - start.x);
+      const vertices = [];
+      for (let i = 0; i < sides; i++) {
+        const angle = rotation + (i / sides) * Math.PI * 2;
+        vertices.push({ x: start.x + radius * Math.cos(angle), y: start.y + radius * Math.sin(angle) });
+      }
+      return { vertices, closed: true };
+    }
+
+    default:
+      return { vertices: [start], closed: false };
+  }
+}
+
+/**
+ * 沿折线按固定间距取点（包含起点）
+ * @param {Array<{x: number, y: number}>} vertices - 顶点
+ * @param {number} spacing - 间距（像素）
+ * @param {boolean} [closed=false] - 是否闭合
+ * @returns {Array<{x: number, y: number}>}
+ */
+function samplePolyline(vertices, spacing, closed = false) {
+  if (vertices.length === 0) return [];
+
+  const path = closed ? vertices.concat([vertices[0]]) : vertices;
+  const points = [{ x: path[0].x, y: path[0].y }];
+  let carry = 0;
+
+  for (let i = 1; i < path.length; i++) {
+    const a = path[i - 1];
+    const b = path[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0) continue;
+
+    let offset = spacing - carry;
+    while (offset <= length) {
+      points.push({ x: a.x + dx * offset / length, y: a.y + dy * offset / length });
+      offset += spacing;
+    }
+    carry = length - (offset - spacing);
+  }
+
+  const last = points[points.length - 1];
+  if (closed) {
+    // 闭合图形的最后一个点与起点重合时去掉
+    if (points.length > 1 &&
+      Math.abs(last.x - points[0].x) < spacing / 2 && Math.abs(last.y - points[0].y) < spacing / 2) {
+      points.pop();
+    }
+  } else if (carry > spacing / 2) {
+    // 开放图形补上终点，保证线条画到头
+    const end = path[path.length - 1];
+    points.push({ x: end.x, y: end.y });
+  }
+
+  return points;
+}
+
+/**
+ * 获取图形工具的全部落笔点
+ * @param {string} tool - line/rect/ellipse/polygon
+ * @param {{x: number, y: number}} start - 拖动起点
+ * @param {{x: number, y: number}} end - 拖动终点
+ * @param {number} spacing - 落笔间距（像素）
+ * @param {Object} [options] - 见 getShapeOutline
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getShapeToolPoints(tool, start, end, spacing, options = {}) {
+  const { vertices, closed } = getShapeOutline(tool, start, end, options);
+  return samplePolyline(vertices, spacing, closed);
+}
+
+/**
+ * 在画布上绘制图形轮廓预览（橡皮筋效果）
+ * @param {CanvasContext} ctx - 画布上下文
+ * @param {string} tool - line/rect/ellipse/polygon
+ * @param {{x: number, y: number}} start - 拖动起点
+ * @param {{x: number, y: number}} end - 拖动终点
+ * @param {Object} style - { color, lineWidth, options }
+ */
+function drawShapePreview(ctx, tool, start, end, style) {
+  const { vertices, closed } = getShapeOutline(tool, start, end, style.options);
+  if (vertices.length < 2) return;
+
+  ctx.save();
+  ctx.globalAlpha = 0.6;
+  ctx.strokeStyle = style.color;
+  ctx.lineWidth = style.lineWidth;
+  if (ctx.setLineDash) {
+    ctx.setLineDash([style.lineWidth * 4, style.lineWidth * 3]);
+  }
+  ctx.beginPath();
+  ctx.moveTo(vertices[0].x, vertices[0].y);
+  for (let i = 1; i < vertices.length; i++) {
+    ctx.lineTo(vertices[i].x, vertices[i].y);
+  }
+  if (closed) {
+    ctx.closePath();
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+module.exports = {
+  SHAPE_TOOLS,
+  getShapeOutline,
+  samplePolyline,
+  getShapeToolPoints,
+  drawShapePreview
+};
@@ -7,52 +7,82 @@
 // 引入修改后的gif.js库
 const GIF = require('./gif-miniprogram.js');
 const { rootStore } = require('../stores/rootStore');
+const { BASE_WIGGLE_RATE } = require('./animation');
 const { uploadGifToCloud, shareCloudGif, saveCloudGifToAlbum, getCloudFileUrl } = require('./cloudStorage');
 
+// 按时间轴导出时GIF的大致帧数上限，超出时加大抖动步长
+const MAX_TIMELINE_GIF_FRAMES = 48;
+
+/**
+ * 生成捕获计划
+ * 只有一帧时按帧数和延迟捕获抖动；时间轴有多帧时按顺序播放每一帧，
+ * 每一帧按显示时长拆成若干步抖动，各步平分这一帧的时长
+ * @param {number} frames - 帧数（只有一帧时使用）
+ * @param {number} delay - 每步延迟时间(ms)
+ * @returns {Array<{frameId: string|null, delay: number}>} frameId 为 null 表示绘制当前动画帧
+ */
+function getCaptureSteps(frames, delay) {
+  const timeline = rootStore.timelineStore;
+  if (timeline.frames.length <= 1) {
+    return Array.from({ length: frames }, () => ({ frameId: null, delay }));
+  }
+
+  const step = Math.max(delay, Math.ceil(timeline.totalDuration / MAX_TIMELINE_GIF_FRAMES));
+  const steps = [];
+  timeline.frames.forEach(frame => {
+    const count = Math.max(1, Math.round(frame.duration / step));
+    const stepDelay = Math.floor(frame.duration / count);
+    for (let i = 0; i < count; i++) {
+      // 除不尽的部分加在最后一步，保证每一帧的总时长不变
+      const extra = i === count - 1 ? frame.duration - stepDelay * count : 0;
+      steps.push({ frameId: frame.id, delay: stepDelay + extra });
+    }
+  });
+  return steps;
+}
+
 /**
  * 捕获多帧画布内容用于GIF生成
+ * 时间轴有多帧时逐帧捕获，抖动在每一帧上继续进行，见 getCaptureSteps
  * @param {Object} page - 页面实例
- * @param {number} frames - 帧数
+ * @param {number} frames - 帧数（时间轴有多帧时忽略）
  * @param {number} delay - 每帧延迟时间(ms)
  * @returns {Promise<Array<Object>>} 帧数据数组
  */
 async function captureFramesForGif(page, frames = 10, delay = 200) {
   const frameDataList = [];
+  const steps = getCaptureSteps(frames, delay);
+  const timeline = rootStore.timelineStore;
 
-  // 暂停当前动画
+  // 暂停当前动画，按导出模式渲染（原始大小、按图层顺序、不含辅助线）
   page.animationController.stopAnimation();
+  page.animationController.setExportMode(true);
 
   try {
     // 获取画布尺寸
     const canvasWidth = page.canvas.width / 2; // 考虑scale(2,2)
     const canvasHeight = page.canvas.height / 2;
 
-    // 捕获每一帧
-    for (let i = 0; i < frames; i++) {
-      // 设置每个像素的当前帧（模拟抖动动画的不同状态）
-      // 通过rootStore访问pixelStore中的activePixels
-      const activePixels = Array.from(rootStore.pixelStore.activePixels.values());
-      activePixels.forEach(pixel => {
-        // 为每个像素设置不同的抖动状态
-        const pixelHash = pixel.id ? pixel.id.split('_')[1] || 0 : 0;
-        pixel.currentFrame = (i + parseInt(pixelHash)) % (pixel.frameData?.length || 4);
-      });
-
-      // 清除画布并绘制当前帧
-      const backgroundColor = rootStore.getCurrentBackgroundColor();
-      if (backgroundColor === 'transparent') {
-        // 透明背景：清除画布
-        page.ctx.clearRect(0, 0, canvasWidth, canvasHeight);
+    // 捕获每一帧，elapsed 为这一帧在GIF中开始显示的时间（毫秒）
+    let elapsed = 0;
+    for (let i = 0; i < steps.length; i++) {
+      // 其他动画帧的像素直接交给控制器绘制，不切换当前帧，导出不会丢失选区
+      const frameId = steps[i].frameId;
+      const pixels = frameId && frameId !== timeline.currentFrameId ? timeline.peekPixels(frameId) : null;
+      page.animationController.setExportPixels(pixels);
+
+      // 每个像素按自己的种子决定的相位和速度跳到这一时刻的帧，同一幅画每次导出结果相同
+      // 抖动时钟按与屏幕上相同的方式随时间推进（见 OptimizedAnimationController.animate），幅度由渲染时的全局设置决定
+      const tick = elapsed / 1000 * BASE_WIGGLE_RATE * rootStore.wiggleConfig.speed;
+      elapsed += steps[i].delay;
+      if (pixels) {
+        pixels.forEach(pixel => pixel.setFrame(tick));
       } else {
-        // 非透明背景：填充背景色
-        page.ctx.fillStyle = backgroundColor;
-        page.ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        rootStore.pixelStore.setFrame(tick);
       }
 
-      // 绘制所有像素
-      activePixels.forEach(pixel => {
-        pixel.draw(page.ctx);
-      });
+      // 清除画布并按图层绘制当前帧（隐藏的图层不导出）
+      page.animationController.renderAllPixels();
 
       // 等待绘制完成
       await new Promise(resolve => setTimeout(resolve, 50));
@@ -82,7 +112,7 @@ async function captureFramesForGif(page, frames = 10, delay = 200) {
         data: imageData.data,
         width: imageData.width,
         height: imageData.height,
-        delay: delay
+        delay: steps[i].delay
       });
     }
   } catch (error) {
@@ -92,7 +122,8 @@ async function captureFramesForGif(page, frames = 10, delay = 200) {
       icon: 'none'
     });
   } finally {
-    // 重新启动动画
+    // 恢复视口显示并重新启动动画
+    page.animationController.setExportMode(false);
     page.animationController.startAnimation();
   }
 
@@ -103,9 +134,10 @@ async function captureFramesForGif(page, frames = 10, delay = 200) {
  * 生成GIF文件并保存到本地
  * @param {Array<Object>} frameDataList - 帧数据数组
  * @param {Object} options - GIF配置选项
+ * @param {Object} [timing] - 传入时写入编码和写文件的耗时 { encodeMs, writeMs, bytes }
  * @returns {Promise<string>} GIF文件路径
  */
-async function generateGif(frameDataList, options = {}) {
+async function generateGif(frameDataList, options = {}, timing = null) {
   if (!frameDataList || frameDataList.length === 0) {
     throw new Error('没有可用的帧数据');
   }
@@ -126,6 +158,7 @@ async function generateGif(frameDataList, options = {}) {
 
   return new Promise((resolve, reject) => {
     let progress = 0;
+    let encodeStart = 0;
 
     // 监听GIF生成进度
     gif.on('start', function() {
@@ -140,6 +173,11 @@ async function generateGif(frameDataList, options = {}) {
 
     gif.on('finished', function(data) {
       console.log('GIF生成完成');
+      const writeStart = Date.now();
+      if (timing) {
+        timing.encodeMs = writeStart - encodeStart;
+        timing.bytes = data.length;
+      }
 
       // 使用FileSystemManager保存GIF文件
       const fm = wx.getFileSystemManager();
@@ -158,6 +196,9 @@ async function generateGif(frameDataList, options = {}) {
         data: ab,
         success: () => {
           console.log('GIF文件保存成功:', gifPath);
+          if (timing) {
+            timing.writeMs = Date.now() - writeStart;
+          }
           resolve(gifPath);
         },
         fail: (error) => {
@@ -184,6 +225,7 @@ async function generateGif(frameDataList, options = {}) {
     });
 
     // 开始渲染GIF
+    encodeStart = Date.now();
     gif.render();
   });
 }
@@ -206,7 +248,9 @@ async function exportGif(page, options = {}) {
     wx.showLoading({ title: '正在捕获帧...' });
 
     // 捕获帧数据
+    const captureStart = Date.now();
     const frameDataList = await captureFramesForGif(page, frames, delay);
+    const timing = { frames: frameDataList.length, captureMs: Date.now() - captureStart };
 
     if (frameDataList.length === 0) {
       throw new Error('未能捕获到有效帧');
@@ -218,7 +262,10 @@ async function exportGif(page, options = {}) {
     const gifPath = await generateGif(frameDataList, {
       quality,
       repeat
-    });
+    }, timing);
+
+    // 记录耗时，显示在性能浮层和性能报告中
+    page.animationController.recordGifExport(timing);
 
     wx.hideLoading();
     return gifPath;
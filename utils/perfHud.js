@@ -0,0 +1,101 @@
+/**
+ * 性能诊断浮层
+ * 把动画控制器的性能报告（见 getPerformanceReport）整理成几行文字，画在画布左下角
+ */
+
+const HUD_FONT_SIZE = 10;
+const HUD_LINE_HEIGHT = 13;
+const HUD_PADDING = 6;
+const HUD_MARGIN = 8;
+// 浮层最多列出的图层数，其余合并为一行
+const HUD_MAX_LAYERS = 4;
+
+/**
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatMs(ms) {
+  return ms === null || ms === undefined ? '-' : ms.toFixed(1);
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)}KB`;
+  return `${bytes}B`;
+}
+
+/**
+ * 把性能报告整理成浮层显示的文字
+ * @param {Object} report - optimizedAnimationController.getPerformanceReport() 的结果
+ * @returns {Array<string>}
+ */
+function formatHudLines(report) {
+  const { frames, quality, lod, memory } = report;
+  const state = report.isAnimating
+    ? quality.level
+    : (report.pausedBy.length > 0 ? `暂停(${report.pausedBy.join(',')})` : '静止');
+  const lines = [
+    `FPS ${Math.round(frames.fps)}/${Math.round(quality.fps)} · ${state}`,
+    `帧耗时 p50 ${formatMs(frames.p50Ms)} p90 ${formatMs(frames.p90Ms)} p99 ${formatMs(frames.p99Ms)} ms`,
+    `更新 ${formatMs(frames.averageUpdateMs)} · 渲染 ${formatMs(frames.averageRenderMs)} ms`,
+    `像素 ${report.activePixels}（抖动 ${lod.livePixels} · 烘焙 ${lod.bakedPixels} · 图块 ${lod.tiles}）`
+  ];
+
+  const layers = report.layers.slice(0, HUD_MAX_LAYERS)
+    .map(layer => `${layer.name}: ${layer.pixels}`);
+  if (report.layers.length > HUD_MAX_LAYERS) {
+    layers.push(`+${report.layers.length - HUD_MAX_LAYERS}层`);
+  }
+  if (layers.length > 0) {
+    lines.push(layers.join(' · '));
+  }
+
+  lines.push(`内存≈${formatBytes(memory.totalBytes)}（缓存 ${formatBytes(memory.cacheBytes)} · 图块 ${formatBytes(memory.tileBytes)}）`
+    + (memory.warnings > 0 ? ` 告警${memory.warnings}` : ''));
+
+  const gif = report.gifExports[report.gifExports.length - 1];
+  if (gif) {
+    lines.push(`GIF ${gif.frames}帧 捕获 ${gif.captureMs} · 编码 ${gif.encodeMs} · 写入 ${gif.writeMs} ms`);
+  }
+
+  return lines;
+}
+
+/**
+ * 在画布左下角绘制浮层（使用画布坐标，不受视口缩放影响）
+ * @param {CanvasContext} ctx
+ * @param {Array<string>} lines
+ * @param {number} canvasHeight - 画布显示高度
+ */
+function drawPerformanceHud(ctx, lines, canvasHeight) {
+  if (!lines || lines.length === 0) return;
+
+  ctx.save();
+  ctx.font = `${HUD_FONT_SIZE}px monospace`;
+  ctx.textBaseline = 'top';
+  ctx.globalCompositeOperation = 'source-over';
+  ctx.globalAlpha = 1;
+  ctx.shadowBlur = 0;
+
+  const width = Math.max(...lines.map(line => ctx.measureText(line).width)) + HUD_PADDING * 2;
+  const height = lines.length * HUD_LINE_HEIGHT + HUD_PADDING * 2;
+  const x = HUD_MARGIN;
+  const y = canvasHeight - HUD_MARGIN - height;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, width, height);
+  ctx.fillStyle = '#00FF88';
+  lines.forEach((line, index) => {
+    ctx.fillText(line, x + HUD_PADDING, y + HUD_PADDING + index * HUD_LINE_HEIGHT);
+  });
+  ctx.restore();
+}
+
+module.exports = {
+  formatHudLines,
+  drawPerformanceHud
+};
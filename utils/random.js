@@ -0,0 +1,74 @@
+/**
+ * 可复现的伪随机数
+ * 同一个种子总是生成同样的序列，形状选择、抖动相位等都从这里取随机数，
+ * 因此同一幅画按相同的种子和操作可以原样重新生成
+ */
+
+const MAX_SEED = 0x100000000;
+
+/**
+ * 生成一个新的随机种子（新建画布时使用）
+ * @returns {number} 32位无符号整数
+ */
+function createSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * 由父种子和序号派生子种子，例如由画布种子和笔画序号得到笔画种子
+ * @param {number} seed - 父种子
+ * @param {number} index - 序号
+ * @returns {number} 32位无符号整数
+ */
+function deriveSeed(seed, index) {
+  let hash = (seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B) >>> 0;
+  hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35) >>> 0;
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * 带种子的伪随机数生成器（mulberry32）
+ */
+class SeededRandom {
+  /**
+   * @param {number} seed - 32位无符号整数
+   */
+  constructor(seed) {
+    this.seed = seed >>> 0;
+    this.state = this.seed;
+  }
+
+  /**
+   * @returns {number} [0, 1) 之间的随机数
+   */
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED;
+  }
+
+  /**
+   * @param {number} max
+   * @returns {number} [0, max) 之间的整数
+   */
+  nextInt(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  /**
+   * @returns {number} 新的32位种子，用于派生像素等下一级的随机数
+   */
+  nextSeed() {
+    return this.nextInt(MAX_SEED);
+  }
+}
+
+module.exports = {
+  MAX_SEED,
+  createSeed,
+  deriveSeed,
+  SeededRandom
+};
@@ -0,0 +1,199 @@
+/**
+ * 选区工具
+ * 套索/矩形选区的命中判断、变换计算和控制柄绘制
+ */
+
+const { getShapeBounds } = require('./animation');
+
+/**
+ * 选区工具类型
+ * lasso   - 套索（自由圈选）
+ * marquee - 矩形选区
+ */
+const SELECTION_TOOLS = ['lasso', 'marquee'];
+
+// 控制柄的屏幕尺寸（像素），绘制和命中判断时按视口缩放换算
+const HANDLE_SIZE = 8;
+const HANDLE_HIT_RADIUS = 16;
+const ROTATE_HANDLE_OFFSET = 24;
+
+/**
+ * 把矩形选区的拖动起止点转换为多边形
+ * @param {{x: number, y: number}} start - 拖动起点
+ * @param {{x: number, y: number}} end - 拖动终点
+ * @returns {Array<{x: number, y: number}>}
+ */
+function getMarqueePolygon(start, end) {
+  return [
+    { x: start.x, y: start.y },
+    { x: end.x, y: start.y },
+    { x: end.x, y: end.y },
+    { x: start.x, y: end.y }
+  ];
+}
+
+/**
+ * 判断点是否在多边形内（射线法）
+ * @param {number} x
+ * @param {number} y
+ * @param {Array<{x: number, y: number}>} polygon - 多边形顶点（首尾自动闭合）
+ * @returns {boolean}
+ */
+function isPointInPolygon(x, y, polygon) {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * 计算一组像素的包围盒（包含像素块本身的大小）
+ * @param {Array<WigglePixel>} pixels
+ * @returns {{left: number, top: number, right: number, bottom: number}|null} 没有像素时返回 null
+ */
+function getPixelsBounds(pixels) {
+  if (pixels.length === 0) return null;
+
+  const bounds = { left: Infinity, top: Infinity, right: -Infinity, bottom: -Infinity };
+  pixels.forEach(pixel => {
+    const shape = getShapeBounds(pixel.frameData);
+    bounds.left = Math.min(bounds.left, pixel.x + shape.minX * pixel.size);
+    bounds.top = Math.min(bounds.top, pixel.y + shape.minY * pixel.size);
+    bounds.right = Math.max(bounds.right, pixel.x + (shape.maxX + 1) * pixel.size);
+    bounds.bottom = Math.max(bounds.bottom, pixel.y + (shape.maxY + 1) * pixel.size);
+  });
+  return bounds;
+}
+
+/**
+ * 对一个点应用选区变换：先绕中心翻转、缩放、旋转，再平移
+ * @param {{x: number, y: number}} point
+ * @param {{x: number, y: number}} pivot - 变换中心
+ * @param {Object} transform - { dx, dy, scale, rotation, flipX, flipY }
+ * @returns {{x: number, y: number}}
+ */
+function transformPoint(point, pivot, transform) {
+  const { dx = 0, dy = 0, scale = 1, rotation = 0, flipX = false, flipY = false } = transform;
+  const px = (point.x - pivot.x) * (flipX ? -1 : 1) * scale;
+  const py = (point.y - pivot.y) * (flipY ? -1 : 1) * scale;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  return {
+    x: pivot.x + px * cos - py * sin + dx,
+    y: pivot.y + px * sin + py * cos + dy
+  };
+}
+
+/**
+ * 获取选区控制柄的位置
+ * @param {Object} bounds - 选区包围盒
+ * @param {number} viewportScale - 视口缩放倍数
+ * @returns {{scale: {x: number, y: number}, rotate: {x: number, y: number}}}
+ */
+function getHandlePositions(bounds, viewportScale) {
+  return {
+    scale: { x: bounds.right, y: bounds.bottom },
+    rotate: { x: (bounds.left + bounds.right) / 2, y: bounds.top - ROTATE_HANDLE_OFFSET / viewportScale }
+  };
+}
+
+/**
+ * 判断触摸点命中了选区的哪个部分
+ * @param {{x: number, y: number}} point - 画布坐标
+ * @param {Object} bounds - 选区包围盒
+ * @param {number} viewportScale - 视口缩放倍数
+ * @returns {string|null} scale/rotate/move，未命中返回 null
+ */
+function hitTestSelection(point, bounds, viewportScale) {
+  if (!bounds) return null;
+
+  const handles = getHandlePositions(bounds, viewportScale);
+  const radius = HANDLE_HIT_RADIUS / viewportScale;
+  const isNear = handle => Math.abs(point.x - handle.x) <= radius && Math.abs(point.y - handle.y) <= radius;
+
+  if (isNear(handles.scale)) return 'scale';
+  if (isNear(handles.rotate)) return 'rotate';
+  if (point.x >= bounds.left && point.x <= bounds.right && point.y >= bounds.top && point.y <= bounds.bottom) {
+    return 'move';
+  }
+  return null;
+}
+
+/**
+ * 绘制正在圈选的路径
+ * @param {CanvasContext} ctx - 画布上下文
+ * @param {Array<{x: number, y: number}>} polygon - 路径顶点
+ * @param {number} lineWidth - 线宽
+ */
+function drawSelectionPath(ctx, polygon, lineWidth) {
+  if (polygon.length < 2) return;
+
+  ctx.save();
+  ctx.strokeStyle = '#39C5BB';
+  ctx.lineWidth = lineWidth;
+  ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+  ctx.beginPath();
+  ctx.moveTo(polygon[0].x, polygon[0].y);
+  for (let i = 1; i < polygon.length; i++) {
+    ctx.lineTo(polygon[i].x, polygon[i].y);
+  }
+  ctx.closePath();
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * 绘制选区边框和控制柄
+ * @param {CanvasContext} ctx - 画布上下文
+ * @param {Object} bounds - 选区包围盒
+ * @param {number} viewportScale - 视口缩放倍数
+ */
+function drawSelectionBounds(ctx, bounds, viewportScale) {
+  if (!bounds) return;
+
+  const lineWidth = 1 / viewportScale;
+  const handleSize = HANDLE_SIZE / viewportScale;
+  const handles = getHandlePositions(bounds, viewportScale);
+
+  ctx.save();
+  ctx.strokeStyle = '#39C5BB';
+  ctx.fillStyle = '#FFFFFF';
+  ctx.lineWidth = lineWidth;
+
+  ctx.setLineDash([lineWidth * 4, lineWidth * 3]);
+  ctx.strokeRect(bounds.left, bounds.top, bounds.right - bounds.left, bounds.bottom - bounds.top);
+  ctx.setLineDash([]);
+
+  // 旋转柄连线
+  ctx.beginPath();
+  ctx.moveTo(handles.rotate.x, bounds.top);
+  ctx.lineTo(handles.rotate.x, handles.rotate.y);
+  ctx.stroke();
+
+  // 缩放柄（方形）
+  ctx.fillRect(handles.scale.x - handleSize / 2, handles.scale.y - handleSize / 2, handleSize, handleSize);
+  ctx.strokeRect(handles.scale.x - handleSize / 2, handles.scale.y - handleSize / 2, handleSize, handleSize);
+
+  // 旋转柄（圆形）
+  ctx.beginPath();
+  ctx.arc(handles.rotate.x, handles.rotate.y, handleSize / 2, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+}
+
+module.exports = {
+  SELECTION_TOOLS,
+  getMarqueePolygon,
+  isPointInPolygon,
+  getPixelsBounds,
+  transformPoint,
+  hitTestSelection,
+  drawSelectionPath,
+  drawSelectionBounds
+};
@@ -119,17 +119,235 @@ const REVERSE_DIAG_PIXEL = [
 ];
 
 /**
- * 随机获取一个形状
+ * 内置形状，按名称索引，画笔通过名称声明使用哪些形状
+ */
+const SHAPES = {
+  plus: PLUS_PIXEL,
+  diag: DIAG_PIXEL,
+  reverseDiag: REVERSE_DIAG_PIXEL
+};
+
+/**
+ * 内置形状在形状库中显示的名称
+ */
+const BUILTIN_SHAPE_NAMES = {
+  plus: '加号',
+  diag: '斜线',
+  reverseDiag: '反斜线'
+};
+
+/**
+ * 形状编辑器的网格范围（包含边界），能容纳全部内置形状
+ */
+const SHAPE_GRID = {
+  minX: -3,
+  maxX: 3,
+  minY: -2,
+  maxY: 4
+};
+
+// 形状编辑器最多的帧数
+const MAX_SHAPE_FRAMES = 8;
+
+// 全部可用形状：内置形状和用户形状（由 stores/shapeStore.js 注册）
+const registry = new Map(Object.keys(SHAPES).map(id => [id, SHAPES[id]]));
+
+/**
+ * 检查并整理帧数据：去掉网格外和重复的点，丢弃多余的帧
+ * @param {Array} frames - 帧数据
+ * @returns {Array|null} 整理后的帧数据，没有任何点时返回 null
+ */
+function normalizeShapeFrames(frames) {
+  if (!Array.isArray(frames)) return null;
+
+  const normalized = frames.slice(0, MAX_SHAPE_FRAMES).map(frame => {
+    const seen = {};
+    return (Array.isArray(frame) ? frame : []).filter(point => {
+      const [dx, dy] = point || [];
+      const key = `${dx},${dy}`;
+      const valid = Number.isInteger(dx) && Number.isInteger(dy) &&
+        dx >= SHAPE_GRID.minX && dx <= SHAPE_GRID.maxX &&
+        dy >= SHAPE_GRID.minY && dy <= SHAPE_GRID.maxY && !seen[key];
+      seen[key] = true;
+      return valid;
+    }).map(([dx, dy]) => [dx, dy]);
+  });
+
+  return normalized.some(frame => frame.length > 0) ? normalized : null;
+}
+
+/**
+ * 注册用户形状，已存在同 id 的形状时覆盖（内置形状不能覆盖）
+ * @param {string} id
+ * @param {Array} frames - 帧数据
+ * @returns {boolean} 是否注册
+ */
+function registerShape(id, frames) {
+  if (SHAPES[id]) return false;
+
+  const normalized = normalizeShapeFrames(frames);
+  if (!normalized) return false;
+
+  registry.set(id, normalized);
+  return true;
+}
+
+/**
+ * 移除用户形状（内置形状不能移除）
+ * @param {string} id
+ * @returns {boolean} 是否移除
+ */
+function unregisterShape(id) {
+  if (SHAPES[id]) return false;
+  return registry.delete(id);
+}
+
+/**
+ * @param {string} id
+ * @returns {Array|null} 帧数据
+ */
+function getShape(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * 把形状集合整理为可选的形状和权重
+ * @param {Array<string|{id: string, weight: number}>} [shapeSet]
+ * @returns {Array<{frames: Array, weight: number}>} 没有可用形状时返回内置形状
+ */
+function resolveCandidates(shapeSet) {
+  const candidates = (shapeSet || [])
+    .map(entry => typeof entry === 'string' ? { id: entry, weight: 1 } : entry)
+    .map(entry => ({ frames: registry.get(entry.id), weight: entry.weight }))
+    .filter(entry => entry.frames && entry.weight > 0);
+
+  if (candidates.length === 0) {
+    return [PLUS_PIXEL, DIAG_PIXEL, REVERSE_DIAG_PIXEL].map(frames => ({ frames, weight: 1 }));
+  }
+  return candidates;
+}
+
+/**
+ * 按权重从候选中随机选择
+ * @param {Array<{frames: Array, weight: number}>} candidates
+ * @param {Function} random - 返回 [0, 1) 的随机数函数
+ * @returns {Array} 形状数据
+ */
+function pickWeighted(candidates, random) {
+  const total = candidates.reduce((sum, entry) => sum + entry.weight, 0);
+  let target = random() * total;
+  for (let i = 0; i < candidates.length; i++) {
+    target -= candidates[i].weight;
+    if (target < 0) return candidates[i].frames;
+  }
+  return candidates[candidates.length - 1].frames;
+}
+
+/**
+ * 按权重随机获取一个形状
+ * @param {Array<string|{id: string, weight: number}>} [shapeSet] - 可选的形状名称或带权重的形状，不传时从内置形状中等概率选择
+ * @param {Function} [random=Math.random] - 返回 [0, 1) 的随机数函数，传入带种子的随机数时结果可复现
  * @returns {Array} 随机选择的形状数据
  */
-function getRandomShape() {
-  const shapes = [PLUS_PIXEL, DIAG_PIXEL, REVERSE_DIAG_PIXEL];
-  return shapes[Math.floor(Math.random() * shapes.length)];
+function getRandomShape(shapeSet, random = Math.random) {
+  return pickWeighted(resolveCandidates(shapeSet), random);
+}
+
+const orientationCache = new WeakMap();
+const rotationCache = new WeakMap();
+
+/**
+ * 计算形状的走向：对全部帧的点做主成分分析
+ * @param {Array} frames - 帧数据
+ * @returns {{angle: number, strength: number}} angle 为主轴方向（弧度，画布坐标系，y 向下），
+ *   strength 为 0-1 的方向性强弱，接近 0 表示形状没有明显走向（如加号）
+ */
+function getShapeOrientation(frames) {
+  let orientation = orientationCache.get(frames);
+  if (orientation) return orientation;
+
+  const points = [];
+  frames.forEach(frame => frame.forEach(point => points.push(point)));
+  const count = Math.max(1, points.length);
+  const meanX = points.reduce((sum, [dx]) => sum + dx, 0) / count;
+  const meanY = points.reduce((sum, [, dy]) => sum + dy, 0) / count;
+
+  let xx = 0;
+  let yy = 0;
+  let xy = 0;
+  points.forEach(([dx, dy]) => {
+    xx += (dx - meanX) * (dx - meanX);
+    yy += (dy - meanY) * (dy - meanY);
+    xy += (dx - meanX) * (dy - meanY);
+  });
+
+  // 2x2 协方差矩阵的两个特征值之差与之和
+  const spread = Math.sqrt((xx - yy) * (xx - yy) + 4 * xy * xy);
+  orientation = {
+    angle: 0.5 * Math.atan2(2 * xy, xx - yy),
+    strength: xx + yy > 0 ? spread / (xx + yy) : 0
+  };
+  orientationCache.set(frames, orientation);
+  return orientation;
+}
+
+/**
+ * 把形状旋转 90°（画布坐标系中顺时针），结果会缓存，同一形状总是返回同一份数据
+ * @param {Array} frames - 帧数据
+ * @returns {Array} 旋转后的帧数据
+ */
+function rotateShapeQuarter(frames) {
+  let rotated = rotationCache.get(frames);
+  if (!rotated) {
+    rotated = frames.map(frame => frame.map(([dx, dy]) => [-dy, dx]));
+    rotationCache.set(frames, rotated);
+  }
+  return rotated;
+}
+
+// 方向模式下对齐程度的放大指数，越大越偏向与笔画同向的形状
+const DIRECTION_SHARPNESS = 8;
+
+/**
+ * 按笔画方向选择形状：每个形状及其旋转 90° 的版本按与笔画的对齐程度加权后随机选择
+ * 没有明显走向的形状不受方向影响
+ * @param {Array<string|{id: string, weight: number}>} [shapeSet] - 同 getRandomShape
+ * @param {number} angle - 笔画方向（弧度，画布坐标系）
+ * @param {Function} [random=Math.random] - 返回 [0, 1) 的随机数函数
+ * @returns {Array} 形状数据
+ */
+function getDirectionalShape(shapeSet, angle, random = Math.random) {
+  const candidates = [];
+  resolveCandidates(shapeSet).forEach(({ frames, weight }) => {
+    [frames, rotateShapeQuarter(frames)].forEach(variant => {
+      const { angle: axis, strength } = getShapeOrientation(variant);
+      // 主轴没有正反之分，cos² 在同向和反向时都为 1
+      const cos = Math.cos(axis - angle);
+      const alignment = 1 - strength + strength * cos * cos;
+      candidates.push({ frames: variant, weight: weight * Math.pow(alignment, DIRECTION_SHARPNESS) });
+    });
+  });
+
+  if (candidates.every(entry => entry.weight <= 0)) {
+    return getRandomShape(shapeSet, random);
+  }
+  return pickWeighted(candidates, random);
 }
 
 module.exports = {
   PLUS_PIXEL,
   DIAG_PIXEL,
   REVERSE_DIAG_PIXEL,
-  getRandomShape
+  SHAPES,
+  BUILTIN_SHAPE_NAMES,
+  SHAPE_GRID,
+  MAX_SHAPE_FRAMES,
+  normalizeShapeFrames,
+  registerShape,
+  unregisterShape,
+  getShape,
+  getRandomShape,
+  getShapeOrientation,
+  rotateShapeQuarter,
+  getDirectionalShape
 }
\ No newline at end of file
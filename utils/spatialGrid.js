@@ -0,0 +1,168 @@
+/**
+ * 均匀网格空间索引
+ * 按坐标把对象分到固定大小的格子里，圆形和矩形范围查询只需检查范围覆盖的格子，
+ * 几万个像素时擦除、吸管和选区也不用遍历全部像素
+ */
+
+// 格子坐标合成一个数字键，支持正负各约一百万个格子
+const KEY_OFFSET = 1 << 20;
+const KEY_STRIDE = 1 << 21;
+
+class SpatialGrid {
+  /**
+   * @param {number} [cellSize=32] - 格子边长（画布坐标）
+   */
+  constructor(cellSize = 32) {
+    this.cellSize = cellSize;
+    // 格子键 -> 格子内的对象
+    this.cells = new Map();
+    // 对象 -> { key, order }，order 为插入顺序，查询结果按它排序
+    this.entries = new Map();
+    this.nextOrder = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * @param {number} x
+   * @param {number} y
+   * @returns {number} 格子键
+   */
+  getKey(x, y) {
+    const col = Math.floor(x / this.cellSize) + KEY_OFFSET;
+    const row = Math.floor(y / this.cellSize) + KEY_OFFSET;
+    return row * KEY_STRIDE + col;
+  }
+
+  /**
+   * 加入对象；已在索引中时按新坐标移动，保持原来的插入顺序
+   * @param {Object} item
+   * @param {number} x
+   * @param {number} y
+   */
+  insert(item, x, y) {
+    if (this.entries.has(item)) {
+      this.move(item, x, y);
+      return;
+    }
+
+    const key = this.getKey(x, y);
+    this.entries.set(item, { key, order: this.nextOrder++ });
+    this.addToCell(key, item);
+  }
+
+  /**
+   * 对象坐标改变后更新所在的格子
+   * @param {Object} item
+   * @param {number} x
+   * @param {number} y
+   */
+  move(item, x, y) {
+    const entry = this.entries.get(item);
+    if (!entry) return;
+
+    const key = this.getKey(x, y);
+    if (key === entry.key) return;
+
+    this.removeFromCell(entry.key, item);
+    entry.key = key;
+    this.addToCell(key, item);
+  }
+
+  /**
+   * 移除对象
+   * @param {Object} item
+   * @returns {boolean} 是否在索引中
+   */
+  remove(item) {
+    const entry = this.entries.get(item);
+    if (!entry) return false;
+
+    this.removeFromCell(entry.key, item);
+    this.entries.delete(item);
+    return true;
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entries.clear();
+    this.nextOrder = 0;
+  }
+
+  /**
+   * 查找坐标位于矩形内（含边界）的格子中的对象，按插入顺序返回
+   * 结果只按格子筛选，调用方需要再按精确条件过滤
+   * @param {number} left
+   * @param {number} top
+   * @param {number} right
+   * @param {number} bottom
+   * @returns {Array<Object>}
+   */
+  queryRect(left, top, right, bottom) {
+    if (right < left || bottom < top) return [];
+
+    const minCol = Math.floor(left / this.cellSize);
+    const maxCol = Math.floor(right / this.cellSize);
+    const minRow = Math.floor(top / this.cellSize);
+    const maxRow = Math.floor(bottom / this.cellSize);
+
+    const result = [];
+    // 范围比已有的格子还多时直接遍历格子
+    if ((maxCol - minCol + 1) * (maxRow - minRow + 1) > this.cells.size) {
+      for (const [key, cell] of this.cells) {
+        const row = Math.floor(key / KEY_STRIDE) - KEY_OFFSET;
+        const col = key % KEY_STRIDE - KEY_OFFSET;
+        if (col >= minCol && col <= maxCol && row >= minRow && row <= maxRow) {
+          cell.forEach(item => result.push(item));
+        }
+      }
+    } else {
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          const cell = this.cells.get((row + KEY_OFFSET) * KEY_STRIDE + col + KEY_OFFSET);
+          if (cell) {
+            cell.forEach(item => result.push(item));
+          }
+        }
+      }
+    }
+
+    return result.sort((a, b) => this.entries.get(a).order - this.entries.get(b).order);
+  }
+
+  /**
+   * 查找圆形范围所在格子中的对象（按外接矩形），按插入顺序返回
+   * @param {number} x
+   * @param {number} y
+   * @param {number} radius
+   * @returns {Array<Object>}
+   */
+  queryRadius(x, y, radius) {
+    return this.queryRect(x - radius, y - radius, x + radius, y + radius);
+  }
+
+  addToCell(key, item) {
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = new Set();
+      this.cells.set(key, cell);
+    }
+    cell.add(item);
+  }
+
+  removeFromCell(key, item) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+
+    cell.delete(item);
+    if (cell.size === 0) {
+      this.cells.delete(key);
+    }
+  }
+}
+
+module.exports = {
+  SpatialGrid
+};
@@ -0,0 +1,221 @@
+/**
+ * 笔画平滑（防抖）
+ * 将触摸事件产生的折线点转换为等间距的落笔点
+ */
+
+/**
+ * 平滑模式
+ * none  - 直线插值
+ * curve - Catmull-Rom 曲线插值，经过每个触摸点
+ * lazy  - 拉绳模式，笔尖被"绳子"牵引，滞后于手指
+ */
+const STABILIZER_MODES = ['none', 'curve', 'lazy'];
+
+// 拉绳模式下 strength 为 1 时的绳长（像素）
+const MAX_LAZY_RADIUS = 40;
+
+// 曲线采样精度（像素），采样点越密间距越均匀
+const CURVE_SAMPLE_STEP = 1;
+
+/**
+ * 根据画笔大小计算落笔间距
+ * @param {number} brushSize - 画笔大小（像素块尺寸）
+ * @param {number} [ratio=3] - 间距与画笔大小的比例
+ * @returns {number} 间距（像素）
+ */
+function getSpacingForBrush(brushSize, ratio = 3) {
+  return Math.max(2, brushSize * ratio);
+}
+
+/**
+ * Catmull-Rom 曲线插值
+ * @param {Object} p0 - 前一个控制点
+ * @param {Object} p1 - 起点
+ * @param {Object} p2 - 终点
+ * @param {Object} p3 - 后一个控制点
+ * @param {number} t - 0-1
+ * @returns {{x: number, y: number}}
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return {
+    x: 0.5 * ((2 * p1.x) + (-p0.x + p2.x) * t +
+      (2 * p0.x - 5 * p1.x + 4 * p2.x - p3.x) * t2 +
+      (-p0.x + 3 * p1.x - 3 * p2.x + p3.x) * t3),
+    y: 0.5 * ((2 * p1.y) + (-p0.y + p2.y) * t +
+      (2 * p0.y - 5 * p1.y + 4 * p2.y - p3.y) * t2 +
+      (-p0.y + 3 * p1.y - 3 * p2.y + p3.y) * t3)
+  };
+}
+
+function distance(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * 笔画平滑器
+ * 每一笔调用 begin → addPoint... → end，每个方法返回需要落笔的点
+ */
+class StrokeStabilizer {
+  /**
+   * @param {Object} options
+   * @param {string} [options.mode='none'] - 平滑模式
+   * @param {number} [options.strength=0.5] - 拉绳强度 (0-1)
+   * @param {number} [options.spacing=6] - 落笔间距（像素）
+   */
+  constructor(options = {}) {
+    this.mode = STABILIZER_MODES.indexOf(options.mode) >= 0 ? options.mode : 'none';
+    this.strength = Math.min(1, Math.max(0, options.strength == null ? 0.5 : options.strength));
+    this.spacing = Math.max(1, options.spacing || 6);
+
+    this.inputPoints = []; // 曲线模式下最近的触摸点
+    this.brushPoint = null; // 拉绳模式下的笔尖位置
+    this.carry = 0; // 距上一个落笔点已走过的路径长度
+  }
+
+  /**
+   * 开始一笔
+   * @returns {Array<{x: number, y: number}>} 起点
+   */
+  begin(x, y) {
+    const point = { x, y };
+    this.inputPoints = [point];
+    this.brushPoint = point;
+    this.carry = 0;
+    return [point];
+  }
+
+  /**
+   * 加入一个触摸点
+   * @returns {Array<{x: number, y: number}>} 新产生的落笔点
+   */
+  addPoint(x, y) {
+    const point = { x, y };
+
+    if (this.mode === 'lazy') {
+      return this.addLazyPoint(point);
+    }
+
+    if (this.mode === 'curve') {
+      return this.addCurvePoint(point);
+    }
+
+    const from = this.inputPoints[this.inputPoints.length - 1];
+    this.inputPoints = [point];
+    return this.walk([from, point]);
+  }
+
+  /**
+   * 结束一笔
+   * @returns {Array<{x: number, y: number}>} 剩余的落笔点
+   */
+  end() {
+    let points = [];
+
+    // 曲线模式下补上最后一段（终点处的控制点取自身）
+    if (this.mode === 'curve' && this.inputPoints.length >= 2) {
+      const pts = this.inputPoints;
+      const p1 = pts[pts.length - 2];
+      const p2 = pts[pts.length - 1];
+      const p0 = pts.length >= 3 ? pts[pts.length - 3] : p1;
+      points = this.walk(this.sampleCurve(p0, p1, p2, p2));
+    }
+
+    this.inputPoints = [];
+    this.brushPoint = null;
+    return points;
+  }
+
+  /**
+   * 拉绳模式：手指超出绳长时，笔尖沿连线方向被拉动
+   */
+  addLazyPoint(point) {
+    const radius = this.strength * MAX_LAZY_RADIUS;
+    const brush = this.brushPoint;
+    const dist = distance(brush, point);
+
+    if (dist <= radius) return [];
+
+    const pull = (dist - radius) / dist;
+    const next = {
+      x: brush.x + (point.x - brush.x) * pull,
+      y: brush.y + (point.y - brush.y) * pull
+    };
+    this.brushPoint = next;
+    return this.walk([brush, next]);
+  }
+
+  /**
+   * 曲线模式：每收到一个新点，输出前前点到前一点之间的曲线段
+   */
+  addCurvePoint(point) {
+    const pts = this.inputPoints;
+    const last = pts[pts.length - 1];
+
+    // 忽略原地抖动的点
+    if (distance(last, point) < 1) return [];
+
+    pts.push(point);
+    if (pts.length < 3) return [];
+
+    const p2 = pts[pts.length - 2];
+    const p1 = pts[pts.length - 3];
+    const p0 = pts.length >= 4 ? pts[pts.length - 4] : p1;
+    const samples = this.sampleCurve(p0, p1, p2, point);
+
+    // 只保留计算下一段所需的点
+    if (pts.length > 4) {
+      pts.shift();
+    }
+    return this.walk(samples);
+  }
+
+  /**
+   * 对 p1 到 p2 之间的曲线段密集采样
+   * @returns {Array<{x: number, y: number}>} 含起点的折线
+   */
+  sampleCurve(p0, p1, p2, p3) {
+    const steps = Math.max(1, Math.ceil(distance(p1, p2) / CURVE_SAMPLE_STEP));
+    const samples = [p1];
+    for (let i = 1; i <= steps; i++) {
+      samples.push(catmullRom(p0, p1, p2, p3, i / steps));
+    }
+    return samples;
+  }
+
+  /**
+   * 沿折线按固定间距取落笔点，不足一个间距的部分累计到下一段
+   * @param {Array<{x: number, y: number}>} polyline - 折线（含起点）
+   * @returns {Array<{x: number, y: number}>}
+   */
+  walk(polyline) {
+    const result = [];
+
+    for (let i = 1; i < polyline.length; i++) {
+      const a = polyline[i - 1];
+      const b = polyline[i];
+      const segLength = distance(a, b);
+      if (segLength === 0) continue;
+
+      let offset = this.spacing - this.carry;
+      while (offset <= segLength) {
+        const ratio = offset / segLength;
+        const point = { x: a.x + (b.x - a.x) * ratio, y: a.y + (b.y - a.y) * ratio };
+        result.push(point);
+        offset += this.spacing;
+      }
+      this.carry = segLength - (offset - this.spacing);
+    }
+
+    return result;
+  }
+}
+
+module.exports = {
+  STABILIZER_MODES,
+  StrokeStabilizer,
+  getSpacingForBrush
+};
@@ -0,0 +1,157 @@
+/**
+ * 对称绘制
+ * 把一个落笔点复制到各条对称轴对应的位置
+ */
+
+/**
+ * 对称模式
+ * none       - 关闭
+ * horizontal - 左右镜像（竖直对称轴）
+ * vertical   - 上下镜像（水平对称轴）
+ * both       - 上下左右四向镜像
+ * radial     - 绕中心 N 等分旋转（万花筒）
+ */
+const SYMMETRY_MODES = ['none', 'horizontal', 'vertical', 'both', 'radial'];
+
+/**
+ * 获取对称中心，未设置时使用画布中心
+ * @param {Object} config - { centerX, centerY }
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @returns {{x: number, y: number}}
+ */
+function getSymmetryCenter(config, width, height) {
+  return {
+    x: config.centerX == null ? width / 2 : config.centerX,
+    y: config.centerY == null ? height / 2 : config.centerY
+  };
+}
+
+/**
+ * 有笔画方向时给对应点加上方向
+ * @param {{x: number, y: number}} point
+ * @param {number|null} angle - 原始方向，为 null 时不加
+ * @param {number} [mappedAngle=angle] - 对应点的方向
+ * @returns {Object}
+ */
+function withAngle(point, angle, mappedAngle = angle) {
+  if (angle !== null) {
+    point.angle = mappedAngle;
+  }
+  return point;
+}
+
+/**
+ * 获取一个点在当前对称模式下的全部对应点（含自身，已去重）
+ * @param {number} x - 画布x坐标
+ * @param {number} y - 画布y坐标
+ * @param {Object} config - { mode, segments, centerX, centerY }
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @param {number|null} [angle=null] - 笔画方向（弧度），传入时每个对应点带上镜像/旋转后的方向
+ * @returns {Array<{x: number, y: number, angle?: number}>}
+ */
+function getSymmetryPoints(x, y, config, width, height, angle = null) {
+  if (!config || config.mode === 'none') {
+    return [withAngle({ x, y }, angle)];
+  }
+
+  const center = getSymmetryCenter(config, width, height);
+  const mirrorX = 2 * center.x - x;
+  const mirrorY = 2 * center.y - y;
+  let points;
+
+  switch (config.mode) {
+    case 'horizontal':
+      points = [withAngle({ x, y }, angle), withAngle({ x: mirrorX, y }, angle, Math.PI - angle)];
+      break;
+    case 'vertical':
+      points = [withAngle({ x, y }, angle), withAngle({ x, y: mirrorY }, angle, -angle)];
+      break;
+    case 'both':
+      points = [
+        withAngle({ x, y }, angle),
+        withAngle({ x: mirrorX, y }, angle, Math.PI - angle),
+        withAngle({ x, y: mirrorY }, angle, -angle),
+        withAngle({ x: mirrorX, y: mirrorY }, angle, angle + Math.PI)
+      ];
+      break;
+    case 'radial': {
+      const segments = Math.max(2, Math.round(config.segments || 6));
+      const dx = x - center.x;
+      const dy = y - center.y;
+      points = [];
+      for (let i = 0; i < segments; i++) {
+        const rotation = (i / segments) * Math.PI * 2;
+        const cos = Math.cos(rotation);
+        const sin = Math.sin(rotation);
+        points.push(withAngle({ x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos }, angle, angle + rotation));
+      }
+      break;
+    }
+    default:
+      points = [withAngle({ x, y }, angle)];
+  }
+
+  // 落在对称轴上的点会重合，只保留一个
+  return points.filter((point, index) => {
+    for (let i = 0; i < index; i++) {
+      if (Math.abs(points[i].x - point.x) < 0.5 && Math.abs(points[i].y - point.y) < 0.5) {
+        return false;
+      }
+    }
+    return true;
+  });
+}
+
+/**
+ * 绘制对称辅助线
+ * @param {CanvasContext} ctx - 画布上下文
+ * @param {Object} config - { mode, segments, centerX, centerY }
+ * @param {number} width - 画布宽度
+ * @param {number} height - 画布高度
+ * @param {number} lineWidth - 线宽
+ */
+function drawSymmetryGuides(ctx, config, width, height, lineWidth) {
+  if (!config || config.mode === 'none') return;
+
+  const center = getSymmetryCenter(config, width, height);
+  const diagonal = Math.sqrt(width * width + height * height);
+
+  ctx.save();
+  ctx.strokeStyle = 'rgba(57, 197, 187, 0.35)';
+  ctx.fillStyle = 'rgba(57, 197, 187, 0.6)';
+  ctx.lineWidth = lineWidth;
+  ctx.beginPath();
+
+  if (config.mode === 'horizontal' || config.mode === 'both') {
+    ctx.moveTo(center.x, 0);
+    ctx.lineTo(center.x, height);
+  }
+  if (config.mode === 'vertical' || config.mode === 'both') {
+    ctx.moveTo(0, center.y);
+    ctx.lineTo(width, center.y);
+  }
+  if (config.mode === 'radial') {
+    const segments = Math.max(2, Math.round(config.segments || 6));
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2 - Math.PI / 2;
+      ctx.moveTo(center.x, center.y);
+      ctx.lineTo(center.x + Math.cos(angle) * diagonal, center.y + Math.sin(angle) * diagonal);
+    }
+  }
+  ctx.stroke();
+
+  // 中心点
+  ctx.beginPath();
+  ctx.arc(center.x, center.y, lineWidth * 3, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+module.exports = {
+  SYMMETRY_MODES,
+  getSymmetryCenter,
+  getSymmetryPoints,
+  drawSymmetryGuides
+};
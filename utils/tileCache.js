@@ -0,0 +1,162 @@
+/**
+ * 烘焙图块的抖动帧缓存
+ * 每个图块（见 PixelStore.bakeTile）的像素预渲染成几帧抖动画面，绘制时整块贴图，
+ * 不用每帧逐个绘制其中的像素
+ */
+
+class TileCache {
+  /**
+   * @param {number} frameCount - 每个图块预渲染的帧数
+   */
+  constructor(frameCount) {
+    this.frameCount = frameCount;
+    this.pixelRatio = 1;
+    // 图块键 -> { version, rect, width, height, frames: [{ canvas, ctx }] }
+    this.entries = new Map();
+  }
+
+  /**
+   * 设置画布内部像素与显示尺寸之比，变化时丢弃已有的缓存
+   * @param {number} pixelRatio
+   */
+  setPixelRatio(pixelRatio) {
+    if (pixelRatio === this.pixelRatio) return;
+    this.pixelRatio = pixelRatio;
+    this.clear();
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * 图块的缓存是否与图块内容一致
+   * @param {Object} tile
+   * @returns {boolean}
+   */
+  isReady(tile) {
+    const entry = this.entries.get(tile.key);
+    return !!entry && entry.version === tile.version;
+  }
+
+  /**
+   * 图块缓存覆盖的范围
+   * @param {Object} tile
+   * @returns {{x: number, y: number, width: number, height: number}|null} 画布坐标，未缓存时返回 null
+   */
+  getBounds(tile) {
+    const entry = this.entries.get(tile.key);
+    return entry ? entry.rect : null;
+  }
+
+  /**
+   * 在时间预算内重建内容有变化的图块，并丢弃已不存在的图块
+   * 每次至少重建一块，避免图块很大时永远建不完
+   * @param {Map<string, Object>} tiles - PixelStore.tiles
+   * @param {Object} options - 像素绘制参数，见 WigglePixel.draw
+   * @param {number} budget - 时间预算（毫秒）
+   * @returns {boolean} 是否全部建好
+   */
+  build(tiles, options, budget) {
+    for (const key of this.entries.keys()) {
+      if (!tiles.has(key)) {
+        this.entries.delete(key);
+      }
+    }
+
+    const start = Date.now();
+    let built = 0;
+    for (const tile of tiles.values()) {
+      if (this.isReady(tile)) continue;
+      if (built > 0 && Date.now() - start >= budget) return false;
+
+      this.buildTile(tile, options);
+      built++;
+    }
+    return true;
+  }
+
+  /**
+   * 把图块的像素逐帧画到离屏画布上（第 i 帧按动画时钟 i 取帧，见 WigglePixel.setFrame）
+   * @param {Object} tile
+   * @param {Object} options - 像素绘制参数
+   */
+  buildTile(tile, options) {
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    tile.pixels.forEach(pixel => {
+      const bounds = pixel.getBounds(options.amplitude);
+      left = Math.min(left, bounds.x);
+      top = Math.min(top, bounds.y);
+      right = Math.max(right, bounds.x + bounds.width);
+      bottom = Math.max(bottom, bounds.y + bounds.height);
+    });
+    const rect = {
+      x: Math.floor(left),
+      y: Math.floor(top),
+      width: Math.ceil(right) - Math.floor(left),
+      height: Math.ceil(bottom) - Math.floor(top)
+    };
+    const width = Math.max(1, Math.ceil(rect.width * this.pixelRatio));
+    const height = Math.max(1, Math.ceil(rect.height * this.pixelRatio));
+
+    let entry = this.entries.get(tile.key);
+    if (!entry || entry.width !== width || entry.height !== height) {
+      const frames = [];
+      for (let i = 0; i < this.frameCount; i++) {
+        const canvas = wx.createOffscreenCanvas({ type: '2d', width, height });
+        frames.push({ canvas, ctx: canvas.getContext('2d') });
+      }
+      entry = { width, height, frames };
+      this.entries.set(tile.key, entry);
+    }
+
+    const ratio = this.pixelRatio;
+    entry.frames.forEach(({ ctx }, index) => {
+      ctx.setTransform(ratio, 0, 0, ratio, -rect.x * ratio, -rect.y * ratio);
+      ctx.clearRect(rect.x, rect.y, rect.width, rect.height);
+      tile.pixels.forEach(pixel => {
+        pixel.setFrame(index);
+        pixel.draw(ctx, options);
+      });
+    });
+    entry.rect = rect;
+    entry.version = tile.version;
+  }
+
+  /**
+   * 贴上图块的一帧
+   * @param {CanvasContext} ctx - 画布上下文（画布坐标）
+   * @param {Object} tile
+   * @param {number} frameIndex - 0 到 frameCount-1
+   * @param {string} composite - 贴图使用的混合模式，与图块内像素的混合模式一致
+   */
+  draw(ctx, tile, frameIndex, composite) {
+    const entry = this.entries.get(tile.key);
+    if (!entry) return;
+
+    const { rect } = entry;
+    const originalComposite = ctx.globalCompositeOperation;
+    ctx.globalCompositeOperation = composite;
+    ctx.drawImage(entry.frames[frameIndex].canvas, rect.x, rect.y, rect.width, rect.height);
+    ctx.globalCompositeOperation = originalComposite;
+  }
+
+  /**
+   * 缓存占用的内存估算
+   * @returns {number} 字节
+   */
+  getMemoryBytes() {
+    let bytes = 0;
+    this.entries.forEach(entry => {
+      bytes += entry.width * entry.height * 4 * this.frameCount;
+    });
+    return bytes;
+  }
+}
+
+module.exports = {
+  TileCache
+};